@@ -2,6 +2,33 @@ const TelegramBot = require('node-telegram-bot-api');
 const HeliusWebSocketBackend = require('./websocket-backend');
 const fs = require('fs');
 const { botLogger, notificationLogger } = require('./utils/Logger');
+const { createStorage } = require('./utils/Storage');
+const {
+    MAX_FILTER_ENTRIES,
+    createDefaultFilters,
+    normalizeFilters,
+    normalizeSymbol,
+    evaluateFilters,
+    addFilterEntry,
+    removeFilterEntry,
+    hasActiveFilters
+} = require('./utils/UserFilters');
+const { EVENT_CATEGORIES, getEventCategory } = require('./utils/EventTypes');
+const { PositionLedger } = require('./utils/PositionLedger');
+const { TransactionHistory, toHistoryEntry } = require('./utils/TransactionHistory');
+const {
+    renderEventMessage,
+    formatSol,
+    formatQuantity,
+    formatExactQuantity,
+    formatSolPrice,
+    formatVenue,
+    formatPumpFun,
+    formatDeliveryNotes
+} = require('./utils/EventTemplates');
+const { VENUES, normalizeVenue } = require('./utils/ProgramRegistry');
+const { DeadLetterQueue } = require('./utils/DeadLetterQueue');
+const { SignatureCache } = require('./utils/SignatureCache');
 
 // Load environment variables
 require('dotenv').config();
@@ -20,7 +47,7 @@ class VoltsTrackWalletBot {
         this.bot = new TelegramBot(BOT_TOKEN, { 
             polling: {
                 interval: 1000, // Reduced polling interval for better responsiveness
-                autoStart: true,
+                autoStart: false, // Started in start() once persisted wallets are restored
                 params: {
                     timeout: 30 // Longer timeout for stability
                 }
@@ -38,30 +65,36 @@ class VoltsTrackWalletBot {
         
         // Memory-optimized data structures
         this.userWallets = new Map(); // telegramId -> Set(wallets)
+        this.walletLabels = new Map(); // telegramId -> Map(wallet -> label)
         this.botMessageIds = new Map(); // telegramId -> Array(messageIds)
         
-        // Enhanced inactivity system for cloud hosting
-        this.lastUserActivity = Date.now();
-        this.inactivityTimeout = null;
-        this.INACTIVITY_LIMIT = parseInt(process.env.INACTIVITY_LIMIT) || 300000;
+        // Per-user inactivity system: each chat pauses and expires on its own schedule
+        this.userActivity = new Map(); // telegramId -> last activity timestamp
+        this.pausedUsers = new Map(); // telegramId -> paused since timestamp
+        this.INACTIVITY_LIMIT = parseInt(process.env.INACTIVITY_LIMIT) || 300000; // Default pause timeout
+        this.INACTIVITY_EXPIRY = parseInt(process.env.INACTIVITY_EXPIRY) || 86400000; // Paused wallets removed after 24h
         
         // Configurable limits for resource management
         this.MAX_WALLETS_PER_USER = parseInt(process.env.MAX_WALLETS_PER_USER) || 3;
+        this.MAX_LABEL_LENGTH = 32;
         this.MAX_MESSAGES_PER_USER = 50; // Limit stored message IDs for memory management
         
-        // Advanced Settings System (Professional Features)
+        // Per-user notification settings (consulted in notifyUsers)
         this.userSettings = new Map(); // telegramId -> settings object
         this.defaultSettings = {
-            latencyOptimization: 'standard',
-            precisionFilter: 'medium',
-            websocketBuffer: '8KB',
-            analyticsDepth: 'standard',
-            riskCalibration: 'moderate',
-            signalSensitivity: 'balanced',
-            noiseReduction: 'enabled',
-            algorithmVersion: 'v2.1.4'
+            minSolAmount: 0, // Skip trades below this SOL amount
+            notifyBuys: true,
+            notifySells: true,
+            commitment: HeliusWebSocketBackend.DEFAULT_COMMITMENT, // processed | confirmed | finalized (DEFAULT_COMMITMENT)
+            quietHours: null, // { start, end } UTC hours: notifications delivered silently
+            eventCategories: Object.keys(EVENT_CATEGORIES), // swap, transfer, nft, liquidity, stake, burn
+            inactivityTimeout: null, // null = INACTIVITY_LIMIT, 0 = never pause
+            backfillLimit: null // Recent transactions digested on /track (null = BACKFILL_LIMIT, 0 = off)
         };
         
+        // Per-user filter rules: max SOL, muted tokens and mint allowlist (consulted in notifyUsers)
+        this.userFilters = new Map(); // telegramId -> filter rules
+        
         // AI Signals System (Professional Features)
         this.userSignals = new Map(); // telegramId -> signals config
         this.defaultSignalConfig = {
@@ -78,12 +111,39 @@ class VoltsTrackWalletBot {
             lastActivation: null
         };
         
+        // Persistent storage (survives restarts and crashes)
+        this.storage = createStorage();
+        this.persistTimeout = null;
+        
+        // Per-wallet, per-mint positions built from processed swaps (avg entry & realized PnL)
+        this.positionLedger = new PositionLedger(this.storage);
+        
+        // History of approved transactions for /history (pagination state is per chat)
+        this.transactionHistory = new TransactionHistory(this.storage);
+        this.historyQueries = new Map(); // telegramId -> last /history query
+        
+        // Per-chat dedup: "chatId:signature" already notified (one message per signature per user)
+        this.notifiedSignatures = new SignatureCache();
+        
+        // Chats told that tracking is degraded (they get the "restored" notice)
+        this.degradedNoticeChats = new Set();
+        
+        // Early alerts awaiting finality: signature -> { events, messages: [{ chatId, messageId, data }] }
+        this.pendingFinality = new Map();
+        this.HISTORY_PAGE_SIZE = 10;
+        this.MAX_HISTORY_PAGE_SIZE = 25;
+        
+        // Signatures whose lookup still fails after retries, kept for reprocessing
+        this.deadLetters = new DeadLetterQueue(this.storage);
+        this.websocket.setDeadLetterQueue(this.deadLetters);
+        
         console.log('🤖 VoltsTrack Wallet Bot initialized');
         console.log('🚀 Bot starting...');
-        console.log(`⏰ Auto-cleanup after ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity`);
+        console.log(`⏰ Default auto-pause after ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity (per user)`);
         
         this.setupCommands();
         this.setupWebSocket();
+        this.loadPersistedState();
         this.startWebSocket();
         this.startInactivityMonitor();
     }
@@ -98,7 +158,7 @@ class VoltsTrackWalletBot {
         // Comando /start
         this.bot.onText(/\/start/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             const welcomeMessage = `
 🚀 **Welcome to VoltsTrack Wallet Tracker Bot!**
@@ -137,13 +197,19 @@ class VoltsTrackWalletBot {
             console.log(`📱 User ${chatId} started the bot`);
         });
 
-        // Comando /track CON parámetro (wallet address)
+        // Comando /track CON parámetro (wallet address + label opcional)
         this.bot.onText(/\/track (.+)/, (msg, match) => {
             const chatId = msg.chat.id;
-            const walletAddress = match[1].trim();
-            this.updateUserActivity(); // Actualizar actividad
+            const [walletAddress, ...labelParts] = match[1].trim().split(/\s+/);
+            const label = labelParts.join(' ');
+            this.updateUserActivity(chatId); // Actualizar actividad
             
-            console.log(`📱 User ${chatId} wants to track: ${walletAddress}`);
+            console.log(`📱 User ${chatId} wants to track: ${walletAddress}${label ? ` (${label})` : ''}`);
+            
+            if (label.length > this.MAX_LABEL_LENGTH) {
+                this.sendAndTrackMessage(chatId, `❌ Label is too long. Please use at most ${this.MAX_LABEL_LENGTH} characters.`);
+                return;
+            }
             
             if (this.websocket.validateWalletAddress(walletAddress)) {
                 // Inicializar set de wallets si no existe
@@ -158,8 +224,8 @@ class VoltsTrackWalletBot {
                     this.sendAndTrackMessage(chatId, 
                         `⚠️ **Already Tracking**\n\n` +
                         `You are already tracking this wallet:\n` +
-                        `\`${walletAddress}\`\n\n` +
-                        `Use \`/list\` to see all your tracked wallets.`, 
+                        `${this.formatWalletEntry(chatId, walletAddress)}\n\n` +
+                        `Use \`/list\` to see all your tracked wallets or \`/rename\` to change its label.`, 
                         { parse_mode: 'Markdown' }
                     );
                     console.log(`⚠️ User ${chatId} already tracking: ${walletAddress}`);
@@ -168,7 +234,7 @@ class VoltsTrackWalletBot {
                 
                 // Verificar límite de wallets
                 if (userWalletSet.size >= this.MAX_WALLETS_PER_USER) {
-                    const walletsList = Array.from(userWalletSet).map((w, i) => `${i + 1}. \`${w}\``).join('\n');
+                    const walletsList = Array.from(userWalletSet).map((w, i) => `${i + 1}. ${this.formatWalletEntry(chatId, w)}`).join('\n');
                     
                     this.sendAndTrackMessage(chatId, 
                         `🚫 **Wallet Limit Reached**\n\n` +
@@ -185,8 +251,13 @@ class VoltsTrackWalletBot {
                 
                 // Agregar wallet al usuario
                 userWalletSet.add(walletAddress);
+                if (label) {
+                    this.setWalletLabel(chatId, walletAddress, label);
+                }
+                this.persistState();
                 
-                // Agregar wallet al WebSocket
+                // Agregar wallet al WebSocket (con el commitment más rápido pedido)
+                this.syncWalletCommitment(walletAddress);
                 this.websocket.addWallet(walletAddress);
                 
                 // Mensaje de confirmación con contador
@@ -194,7 +265,7 @@ class VoltsTrackWalletBot {
                 const remainingSlots = this.MAX_WALLETS_PER_USER - currentCount;
                 
                 let confirmMessage = `✅ **Wallet Added Successfully**\n\n` +
-                                   `Now tracking: \`${walletAddress}\`\n\n` +
+                                   `Now tracking: ${this.formatWalletEntry(chatId, walletAddress)}\n\n` +
                                    `📊 **Tracking Status:**\n` +
                                    `• Active wallets: ${currentCount}/${this.MAX_WALLETS_PER_USER}\n`;
                 
@@ -208,6 +279,9 @@ class VoltsTrackWalletBot {
                 
                 this.sendAndTrackMessage(chatId, confirmMessage, { parse_mode: 'Markdown' });
                 console.log(`✅ User ${chatId} now tracking: ${walletAddress} (${currentCount}/${this.MAX_WALLETS_PER_USER})`);
+                
+                // Resumen de la actividad reciente para juzgar la wallet (no bloquea el comando)
+                this.sendBackfillDigest(chatId, walletAddress);
             } else {
                 this.sendAndTrackMessage(chatId, '❌ Invalid Solana wallet address. Please check and try again.');
                 console.log(`❌ User ${chatId} provided invalid wallet: ${walletAddress}`);
@@ -217,17 +291,19 @@ class VoltsTrackWalletBot {
         // Comando /track SIN parámetro (solo el comando)
         this.bot.onText(/^\/track$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} used /track without parameters`);
             
             const trackMessage = `
 ➕ **Track a Wallet**
 
 📝 To track a Solana wallet, use this format:
-\`/track [wallet_address]\`
+\`/track [wallet_address] [label]\`
 
 🔍 **Example:**
-\`/track JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
+\`/track JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN Whale 1\`
+
+🏷️ The label is optional and shows up in every notification.
 
 ✨ You'll receive real-time notifications for all transactions!
 
@@ -237,36 +313,32 @@ class VoltsTrackWalletBot {
             this.sendAndTrackMessage(chatId, trackMessage, { parse_mode: 'Markdown' });
         });
 
-        // Comando /untrack CON parámetro (wallet address)
+        // Comando /untrack CON parámetro (wallet address o label)
         this.bot.onText(/\/untrack (.+)/, (msg, match) => {
             const chatId = msg.chat.id;
-            const walletAddress = match[1].trim();
-            this.updateUserActivity(); // Actualizar actividad
+            const walletAddress = this.resolveUserWallet(chatId, match[1].trim());
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             if (this.userWallets.has(chatId)) {
                 const userWalletSet = this.userWallets.get(chatId);
-                if (userWalletSet.has(walletAddress)) {
+                if (walletAddress && userWalletSet.has(walletAddress)) {
+                    const walletEntry = this.formatWalletEntry(chatId, walletAddress);
                     userWalletSet.delete(walletAddress);
+                    this.setWalletLabel(chatId, walletAddress, null);
+                    this.persistState();
                     
-                    // Verificar si algún otro usuario está rastreando esta wallet
-                    let walletStillTrackedByOthers = false;
-                    this.userWallets.forEach((walletSet, userId) => {
-                        if (userId !== chatId && walletSet.has(walletAddress)) {
-                            walletStillTrackedByOthers = true;
-                        }
-                    });
-                    
-                    // Solo remover del WebSocket si nadie más la está rastreando
-                    if (!walletStillTrackedByOthers) {
+                    // Solo remover del WebSocket si ningún otro usuario activo la está rastreando
+                    if (!this.isWalletNeeded(walletAddress, chatId)) {
                         this.websocket.removeWallet(walletAddress);
                         console.log(`✅ Wallet ${walletAddress.substring(0, 8)}... removed from WebSocket (no other users tracking)`);
                     } else {
+                        this.syncWalletCommitment(walletAddress);
                         console.log(`ℹ️ Wallet ${walletAddress.substring(0, 8)}... still tracked by other users`);
                     }
                     
                     // Mostrar estado actual del WebSocket
                     const wsStatus = this.websocket.getStatus();
-                    let statusMessage = `✅ Stopped tracking: \`${walletAddress}\`\n\n`;
+                    let statusMessage = `✅ Stopped tracking: ${walletEntry}\n\n`;
                     statusMessage += `📊 **Current Status:**\n`;
                     statusMessage += `• Your wallets: ${userWalletSet.size}\n`;
                     statusMessage += `• Total tracked: ${wsStatus.trackedWallets}\n`;
@@ -285,7 +357,7 @@ class VoltsTrackWalletBot {
         // Comando /untrack SIN parámetro (solo el comando)
         this.bot.onText(/^\/untrack$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} used /untrack without parameters`);
             
             // Verificar si el usuario tiene wallets trackeadas
@@ -297,10 +369,10 @@ class VoltsTrackWalletBot {
 📋 **Your tracked wallets:**\n\n`;
                 
                 wallets.forEach((wallet, index) => {
-                    untrackMessage += `${index + 1}. \`${wallet}\`\n`;
+                    untrackMessage += `${index + 1}. ${this.formatWalletEntry(chatId, wallet)}\n`;
                 });
                 
-                untrackMessage += `\n📝 **To untrack a wallet, use:**\n\`/untrack [wallet_address]\`\n\n🔍 **Example:**\n\`/untrack ${wallets[0]}\``;
+                untrackMessage += `\n📝 **To untrack a wallet, use:**\n\`/untrack [wallet_address|label]\`\n\n🔍 **Example:**\n\`/untrack ${wallets[0]}\``;
                 
                 this.sendAndTrackMessage(chatId, untrackMessage, { parse_mode: 'Markdown' });
             } else {
@@ -316,17 +388,72 @@ class VoltsTrackWalletBot {
             }
         });
 
+        // Comando /rename (wallet address o label actual + nuevo label)
+        this.bot.onText(/\/rename (.+)/, (msg, match) => {
+            const chatId = msg.chat.id;
+            const parts = match[1].trim().split(/\s+/);
+            this.updateUserActivity(chatId);
+            
+            // El label actual puede tener espacios: probar el prefijo más largo que coincida
+            let walletAddress = null;
+            let label = '';
+            for (let i = parts.length; i > 0 && !walletAddress; i--) {
+                walletAddress = this.resolveUserWallet(chatId, parts.slice(0, i).join(' '));
+                label = parts.slice(i).join(' ');
+            }
+            
+            if (!walletAddress) {
+                this.sendAndTrackMessage(chatId, '❌ Wallet not found in your tracking list.');
+                return;
+            }
+            
+            if (label.length > this.MAX_LABEL_LENGTH) {
+                this.sendAndTrackMessage(chatId, `❌ Label is too long. Please use at most ${this.MAX_LABEL_LENGTH} characters.`);
+                return;
+            }
+            
+            this.setWalletLabel(chatId, walletAddress, label || null);
+            this.persistState();
+            
+            const renameMessage = label
+                ? `🏷️ **Label Updated**\n\n${this.formatWalletEntry(chatId, walletAddress)}`
+                : `🏷️ **Label Removed**\n\n\`${walletAddress}\``;
+            
+            this.sendAndTrackMessage(chatId, renameMessage, { parse_mode: 'Markdown' });
+            console.log(`🏷️ User ${chatId} renamed ${walletAddress.substring(0, 8)}... to "${label}"`);
+        });
+        
+        // Comando /rename SIN parámetros
+        this.bot.onText(/^\/rename$/, (msg) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            const renameHelp = `
+🏷️ **Rename a Wallet**
+
+📝 To set or change a wallet label, use:
+\`/rename [wallet_address|label] [new_label]\`
+
+🔍 **Example:**
+\`/rename JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN Whale 1\`
+
+💡 Leave out the new label to remove it.
+            `;
+            
+            this.sendAndTrackMessage(chatId, renameHelp, { parse_mode: 'Markdown' });
+        });
+
         // Comando /list
         this.bot.onText(/\/list/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             if (this.userWallets.has(chatId) && this.userWallets.get(chatId).size > 0) {
                 const wallets = Array.from(this.userWallets.get(chatId));
                 let message = '📋 **Your tracked wallets:**\n\n';
                 
                 wallets.forEach((wallet, index) => {
-                    message += `${index + 1}. \`${wallet}\`\n`;
+                    message += `${index + 1}. ${this.formatWalletEntry(chatId, wallet)}\n`;
                 });
                 
                 this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -338,7 +465,7 @@ class VoltsTrackWalletBot {
         // Comando /status
         this.bot.onText(/\/status/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             const status = this.websocket.getStatus();
             const userWalletCount = this.userWallets.get(chatId)?.size || 0;
             const remainingSlots = this.MAX_WALLETS_PER_USER - userWalletCount;
@@ -347,9 +474,13 @@ class VoltsTrackWalletBot {
 📊 **Bot Status:**
 
 🔌 WebSocket: ${status.connected ? '✅ Connected' : '❌ Disconnected'}
+${this.formatConnectionStatus(status.connection)}
 👥 Total Tracked Wallets: ${status.trackedWallets}
 📱 Your Wallets: ${userWalletCount}/${this.MAX_WALLETS_PER_USER}
 🎯 Available Slots: ${remainingSlots}
+${this.formatProviderStatus(status)}
+⏰ Inactivity Timeout: ${this.formatDuration(this.getUserInactivityTimeout(chatId))}
+🧹 Token Filters: ${hasActiveFilters(this.getUserFilters(chatId)) ? 'Active (`/filters`)' : 'None'}
             `;
             
             this.sendAndTrackMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
@@ -358,85 +489,117 @@ class VoltsTrackWalletBot {
         // Comando /clear
         this.bot.onText(/\/clear/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} wants to clear bot messages`);
             this.clearBotMessages(chatId);
         });
 
-        // Comando /settings - Advanced Technical Configuration
-        this.bot.onText(/\/settings/, (msg) => {
+        // Comando /settings - Notification settings overview
+        this.bot.onText(/^\/settings$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity();
-            
-            // Initialize user settings if not exists
-            if (!this.userSettings.has(chatId)) {
-                this.userSettings.set(chatId, { ...this.defaultSettings });
-            }
-            
-            const userConfig = this.userSettings.get(chatId);
-            
-            const settingsMessage = `
-⚙️ **Advanced Technical Configuration**
-
-🔧 **Current System Settings:**
-
-• **Latency Optimization:** \`${userConfig.latencyOptimization}\`
-• **Precision Filter:** \`${userConfig.precisionFilter}\`
-• **WebSocket Buffer:** \`${userConfig.websocketBuffer}\`
-• **Analytics Depth:** \`${userConfig.analyticsDepth}\`
-• **Risk Calibration:** \`${userConfig.riskCalibration}\`
-• **Signal Sensitivity:** \`${userConfig.signalSensitivity}\`
-• **Noise Reduction:** \`${userConfig.noiseReduction}\`
-• **Algorithm Version:** \`${userConfig.algorithmVersion}\`
-
-📋 **Configuration Options:**
-\`/settings latency [low|standard|high]\` - Network optimization
-\`/settings precision [low|medium|high|ultra]\` - Data filtering
-\`/settings buffer [4KB|8KB|16KB|32KB]\` - Memory allocation
-\`/settings analytics [basic|standard|advanced|pro]\` - Processing depth
-\`/settings risk [conservative|moderate|aggressive]\` - Risk parameters
-\`/settings sensitivity [low|balanced|high|extreme]\` - Signal detection
-\`/settings noise [enabled|disabled]\` - Filter interference
-\`/settings reset\` - Restore default configuration
-            `;
-            
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '⚡ Latency', callback_data: 'settings_latency' },
-                        { text: '🎯 Precision', callback_data: 'settings_precision' }
-                    ],
-                    [
-                        { text: '📊 Analytics', callback_data: 'settings_analytics' },
-                        { text: '⚠️ Risk', callback_data: 'settings_risk' }
-                    ],
-                    [
-                        { text: '🔄 Reset All', callback_data: 'settings_reset' },
-                        { text: '💾 Save Config', callback_data: 'settings_save' }
-                    ]
-                ]
-            };
+            this.updateUserActivity(chatId);
             
-            this.sendAndTrackMessage(chatId, settingsMessage, { 
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            this.handleSettingsButton(chatId);
         });
         
         // Settings configuration commands
-        this.bot.onText(/\/settings\s+(\w+)\s*(\w*)/, (msg, match) => {
+        this.bot.onText(/^\/settings\s+(\w+)\s*(\S*)/, (msg, match) => {
             const chatId = msg.chat.id;
             const setting = match[1].toLowerCase();
             const value = match[2].toLowerCase();
-            this.updateUserActivity();
+            this.updateUserActivity(chatId);
             
             this.handleSettingsConfig(chatId, setting, value);
         });
         
+        // Comando /filters - Overview of the user's filter rules
+        this.bot.onText(/^\/filters$/, (msg) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            this.sendAndTrackMessage(chatId, this.formatFiltersSummary(chatId), { parse_mode: 'Markdown' });
+        });
+        
+        // Comando /filter min|max|venue|reset
+        this.bot.onText(/^\/filter(?:\s+(\w+)(?:\s+(\S+))?)?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            const rule = (match[1] || '').toLowerCase();
+            const value = (match[2] || '').toLowerCase();
+            this.updateUserActivity(chatId);
+            
+            this.handleFilterConfig(chatId, rule, value);
+        });
+        
+        // Comandos /mute y /unmute (mint address o símbolo)
+        this.bot.onText(/^\/(mute|unmute)(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            this.handleMuteCommand(chatId, match[1] === 'mute', match[2]);
+        });
+        
+        // Comandos /allow y /disallow (solo mint addresses)
+        this.bot.onText(/^\/(allow|disallow)(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            this.handleAllowCommand(chatId, match[1] === 'allow', match[2]);
+        });
+        
+        // Comando /pnl - Posiciones y PnL realizado de una wallet
+        this.bot.onText(/^\/pnl(?:\s+(.+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            const query = match[1] ? match[1].trim() : '';
+            const userWalletSet = this.userWallets.get(chatId) || new Set();
+            this.updateUserActivity(chatId);
+            
+            // Sin parámetro: usar la única wallet del usuario
+            let walletAddress = query ? this.resolveUserWallet(chatId, query) : null;
+            if (!query && userWalletSet.size === 1) {
+                walletAddress = Array.from(userWalletSet)[0];
+            }
+            if (!walletAddress && query && this.websocket.validateWalletAddress(query)) {
+                walletAddress = query;
+            }
+            
+            if (!walletAddress) {
+                const walletsList = Array.from(userWalletSet).map((w, i) => `${i + 1}. ${this.formatWalletEntry(chatId, w)}`).join('\n');
+                this.sendAndTrackMessage(chatId,
+                    `📊 **Wallet PnL**\n\n` +
+                    `📝 Use: \`/pnl [wallet_address|label]\`\n\n` +
+                    (walletsList ? `**Your tracked wallets:**\n${walletsList}` : `You are not tracking any wallets yet.`),
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+            
+            this.sendAndTrackMessage(chatId, this.formatPnlSummary(chatId, walletAddress), { parse_mode: 'Markdown' });
+        });
+        
+        // Comando /history [wallet|label] [limit] [buy|sell] [$TOKEN|mint]
+        this.bot.onText(/^\/history(?:\s+(.+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            const query = this.parseHistoryQuery(chatId, match[1] ? match[1].trim() : '');
+            if (query.error) {
+                this.sendAndTrackMessage(chatId, query.error, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            this.historyQueries.set(chatId, query);
+            const page = this.renderHistoryPage(chatId, query, 0);
+            this.sendAndTrackMessage(chatId, page.text, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: page.keyboard
+            });
+        });
+        
         // Comando /signals - AI Trading Signals System
         this.bot.onText(/\/signals/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity();
+            this.updateUserActivity(chatId);
             
             // Initialize user signals if not exists
             if (!this.userSignals.has(chatId)) {
@@ -508,20 +671,24 @@ AI signals are provided for informational purposes only. Past performance does n
         // Comando /help
         this.bot.onText(/\/help/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             const helpMessage = `
 🆘 **Help - VoltsTrack Wallet Tracker**
 
 **Basic Commands:**
-• \`/track <wallet>\` - Start tracking a Solana wallet
-• \`/untrack <wallet>\` - Stop tracking a wallet
+• \`/track <wallet> [label]\` - Start tracking a Solana wallet
+• \`/untrack <wallet|label>\` - Stop tracking a wallet
+• \`/rename <wallet|label> <label>\` - Set a wallet label
 • \`/list\` - Show your tracked wallets
 • \`/status\` - Check bot connection status
 • \`/clear\` - Clear bot messages
 • \`/help\` - Show this help
 
 **Professional Features:**
-• \`/settings\` - Advanced technical configuration
+• \`/settings\` - Notification settings (min size, directions, quiet hours...)
+• \`/filters\` - Token filters (max size, muted tokens, allowlist, venues)
+• \`/pnl <wallet|label>\` - Open positions and realized PnL
+• \`/history [wallet|label] [limit] [buy|sell] [$TOKEN]\` - Recent transactions
 • \`/signals\` - AI-powered trading signals
 
 **Example wallet address:**
@@ -542,13 +709,19 @@ AI signals are provided for informational purposes only. Past performance does n
             const message = callbackQuery.message;
             const chatId = message.chat.id;
             const data = callbackQuery.data;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             console.log(`🔘 User ${chatId} clicked button: ${data}`);
             
             // Responder al callback para quitar el "loading"
             this.bot.answerCallbackQuery(callbackQuery.id);
             
+            // Paginación de /history (history_page_<n>)
+            if (data.startsWith('history_page_')) {
+                this.handleHistoryPage(chatId, message.message_id, parseInt(data.substring('history_page_'.length)));
+                return;
+            }
+            
             // Manejar diferentes botones
             switch(data) {
                 case 'status':
@@ -579,66 +752,126 @@ AI signals are provided for informational purposes only. Past performance does n
                     this.handleClearButton(chatId);
                     break;
                 // Settings button handlers
-                case 'settings_latency':
-                    this.handleSettingsOption(chatId, 'latency');
+                case 'settings_min':
+                    this.handleSettingsOption(chatId, 'min');
                     break;
-                case 'settings_precision':
-                    this.handleSettingsOption(chatId, 'precision');
+                case 'settings_direction':
+                    this.handleSettingsOption(chatId, 'direction');
                     break;
-                case 'settings_analytics':
-                    this.handleSettingsOption(chatId, 'analytics');
+                case 'settings_commitment':
+                    this.handleSettingsOption(chatId, 'commitment');
                     break;
-                case 'settings_risk':
-                    this.handleSettingsOption(chatId, 'risk');
+                case 'settings_quiet':
+                    this.handleSettingsOption(chatId, 'quiet');
+                    break;
+                case 'settings_timeout':
+                    this.handleSettingsOption(chatId, 'timeout');
+                    break;
+                case 'settings_events':
+                    this.handleSettingsOption(chatId, 'events');
+                    break;
+                case 'settings_backfill':
+                    this.handleSettingsOption(chatId, 'backfill');
                     break;
                 case 'settings_reset':
                     this.handleSettingsConfig(chatId, 'reset', '');
                     break;
-                case 'settings_save':
-                    this.sendAndTrackMessage(chatId, '💾 **Configuration Saved**\n\nYour current settings have been saved and are now active.', { parse_mode: 'Markdown' });
-                    break;
                 // Individual setting options
-                case 'latency_low':
-                    this.handleSettingsConfig(chatId, 'latency', 'low');
+                case 'min_0':
+                    this.handleSettingsConfig(chatId, 'min', '0');
+                    break;
+                case 'min_0.1':
+                    this.handleSettingsConfig(chatId, 'min', '0.1');
+                    break;
+                case 'min_0.5':
+                    this.handleSettingsConfig(chatId, 'min', '0.5');
+                    break;
+                case 'min_1':
+                    this.handleSettingsConfig(chatId, 'min', '1');
+                    break;
+                case 'min_5':
+                    this.handleSettingsConfig(chatId, 'min', '5');
                     break;
-                case 'latency_standard':
-                    this.handleSettingsConfig(chatId, 'latency', 'standard');
+                case 'min_10':
+                    this.handleSettingsConfig(chatId, 'min', '10');
                     break;
-                case 'latency_high':
-                    this.handleSettingsConfig(chatId, 'latency', 'high');
+                case 'direction_both':
+                    this.handleSettingsConfig(chatId, 'direction', 'both');
                     break;
-                case 'precision_low':
-                    this.handleSettingsConfig(chatId, 'precision', 'low');
+                case 'direction_buy':
+                    this.handleSettingsConfig(chatId, 'direction', 'buy');
                     break;
-                case 'precision_medium':
-                    this.handleSettingsConfig(chatId, 'precision', 'medium');
+                case 'direction_sell':
+                    this.handleSettingsConfig(chatId, 'direction', 'sell');
                     break;
-                case 'precision_high':
-                    this.handleSettingsConfig(chatId, 'precision', 'high');
+                case 'commitment_processed':
+                    this.handleSettingsConfig(chatId, 'commitment', 'processed');
                     break;
-                case 'precision_ultra':
-                    this.handleSettingsConfig(chatId, 'precision', 'ultra');
+                case 'commitment_confirmed':
+                    this.handleSettingsConfig(chatId, 'commitment', 'confirmed');
                     break;
-                case 'analytics_basic':
-                    this.handleSettingsConfig(chatId, 'analytics', 'basic');
+                case 'commitment_finalized':
+                    this.handleSettingsConfig(chatId, 'commitment', 'finalized');
                     break;
-                case 'analytics_standard':
-                    this.handleSettingsConfig(chatId, 'analytics', 'standard');
+                case 'quiet_off':
+                    this.handleSettingsConfig(chatId, 'quiet', 'off');
                     break;
-                case 'analytics_advanced':
-                    this.handleSettingsConfig(chatId, 'analytics', 'advanced');
+                case 'quiet_22-7':
+                    this.handleSettingsConfig(chatId, 'quiet', '22-7');
                     break;
-                case 'analytics_pro':
-                    this.handleSettingsConfig(chatId, 'analytics', 'pro');
+                case 'quiet_0-8':
+                    this.handleSettingsConfig(chatId, 'quiet', '0-8');
                     break;
-                case 'risk_conservative':
-                    this.handleSettingsConfig(chatId, 'risk', 'conservative');
+                case 'timeout_15':
+                    this.handleSettingsConfig(chatId, 'timeout', '15');
                     break;
-                case 'risk_moderate':
-                    this.handleSettingsConfig(chatId, 'risk', 'moderate');
+                case 'timeout_60':
+                    this.handleSettingsConfig(chatId, 'timeout', '60');
                     break;
-                case 'risk_aggressive':
-                    this.handleSettingsConfig(chatId, 'risk', 'aggressive');
+                case 'timeout_360':
+                    this.handleSettingsConfig(chatId, 'timeout', '360');
+                    break;
+                case 'timeout_default':
+                    this.handleSettingsConfig(chatId, 'timeout', 'default');
+                    break;
+                case 'timeout_never':
+                    this.handleSettingsConfig(chatId, 'timeout', 'never');
+                    break;
+                case 'backfill_0':
+                    this.handleSettingsConfig(chatId, 'backfill', 'off');
+                    break;
+                case 'backfill_5':
+                    this.handleSettingsConfig(chatId, 'backfill', '5');
+                    break;
+                case 'backfill_10':
+                    this.handleSettingsConfig(chatId, 'backfill', '10');
+                    break;
+                case 'backfill_25':
+                    this.handleSettingsConfig(chatId, 'backfill', '25');
+                    break;
+                case 'backfill_default':
+                    this.handleSettingsConfig(chatId, 'backfill', 'default');
+                    break;
+                case 'events_all':
+                    this.handleSettingsConfig(chatId, 'events', 'all');
+                    break;
+                case 'events_swap':
+                    this.handleEventCategoryToggle(chatId, 'swap');
+                    break;
+                case 'events_transfer':
+                    this.handleEventCategoryToggle(chatId, 'transfer');
+                    break;
+                case 'events_nft':
+                    this.handleEventCategoryToggle(chatId, 'nft');
+                    break;
+                case 'events_liquidity':
+                    this.handleEventCategoryToggle(chatId, 'liquidity');
+                    break;
+                case 'events_stake':
+                    this.handleEventCategoryToggle(chatId, 'stake');
+                    break;
+                case 'events_burn':
+                    this.handleEventCategoryToggle(chatId, 'burn');
                     break;
                 // Signals button handlers  
                 case 'signals_toggle':
@@ -676,12 +909,132 @@ AI signals are provided for informational purposes only. Past performance does n
         
         this.websocket.onTransactionReceived = (transactionData) => {
             console.log('🔔 Transaction received, notifying users...');
+            this.recordPosition(transactionData);
+            this.transactionHistory.record(transactionData);
+            if (this.isEarlyAlert(transactionData)) {
+                this.getPendingFinality(transactionData.signature).events.push(transactionData);
+            }
             this.notifyUsers(transactionData);
         };
         
+        this.websocket.onTransactionFinality = (signature, status, reason) => {
+            this.handleTransactionFinality(signature, status, reason);
+        };
+        
+        this.websocket.onConnectionDegraded = ({ since }) => {
+            const sinceText = new Date(since).toLocaleString('en-US', { timeZone: 'UTC', hour12: false }) + ' UTC';
+            this.notifyConnectionChange(
+                `⚠️ *Tracking degraded*\n\n` +
+                `The connection to \`${this.websocket.provider.describe()}\` was lost at ${sinceText}. ` +
+                `Notifications are paused until it is back; transactions missed meanwhile will be sent as *recovered*.\n\n` +
+                `🔄 Reconnecting automatically...`,
+                true
+            );
+        };
+        
+        this.websocket.onConnectionRestored = ({ downtimeMs }) => {
+            this.notifyConnectionChange(
+                `✅ *Tracking restored*\n\n` +
+                `The connection to \`${this.websocket.provider.describe()}\` is back after ${this.formatDuration(Math.max(1000, downtimeMs))}.`,
+                false
+            );
+        };
+        
         console.log('✅ WebSocket callbacks configured');
     }
+    
+    // ========== FINALITY FOLLOW-UP ==========
+    
+    // Alerta enviada antes de 'finalized' (se editará al conocer su finalidad)
+    isEarlyAlert(transactionData) {
+        return Boolean(transactionData.commitment) && transactionData.commitment !== 'finalized';
+    }
+    
+    getPendingFinality(signature) {
+        if (!this.pendingFinality.has(signature)) {
+            this.pendingFinality.set(signature, { events: [], messages: [] });
+        }
+        return this.pendingFinality.get(signature);
+    }
+    
+    // Finalized: editar las alertas tempranas y notificar a quien esperaba 'finalized'.
+    // Dropped: editar las alertas y deshacer el trade en el ledger y el historial
+    async handleTransactionFinality(signature, status, reason) {
+        const pending = this.pendingFinality.get(signature);
+        if (!pending) return;
+        this.pendingFinality.delete(signature);
+        
+        notificationLogger.info(`Finality for ${signature.substring(0, 8)}...: ${status}, updating ${pending.messages.length} alert(s)`);
+        
+        for (const { chatId, messageId, data } of pending.messages) {
+            try {
+                await this.bot.editMessageText(this.formatTransactionMessage({ ...data, finality: status, finalityReason: reason }, chatId), {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    parse_mode: 'Markdown'
+                });
+            } catch (error) {
+                // El usuario pudo borrar el mensaje (/clear)
+                notificationLogger.warn(`Could not update alert ${messageId} for ${chatId}: ${error.message}`);
+            }
+        }
+        
+        if (status === 'finalized') {
+            pending.events.forEach(event => this.notifyUsers({ ...event, commitment: 'finalized' }));
+        } else {
+            pending.events.forEach(event => this.revertDroppedEvent(event));
+        }
+    }
+    
+    revertDroppedEvent(transactionData) {
+        if (transactionData.eventType === 'SWAP' && transactionData.position) {
+            this.positionLedger.revertTrade({
+                wallet: transactionData.wallet,
+                mint: transactionData.mintAddress,
+                direction: transactionData.buySell,
+                tokenAmount: transactionData.tokenAmount,
+                solAmount: transactionData.solAmount
+            }, transactionData.position);
+        }
+        this.transactionHistory.remove(transactionData.wallet, transactionData.signature);
+    }
+    
+    // Avisar de la caída/recuperación a los usuarios con wallets activas.
+    // El aviso de recuperación solo llega a quien recibió el de caída
+    notifyConnectionChange(message, degraded) {
+        const recipients = degraded
+            ? Array.from(this.userWallets.keys()).filter(chatId =>
+                this.userWallets.get(chatId).size > 0 && !this.pausedUsers.has(chatId))
+            : Array.from(this.degradedNoticeChats);
+        
+        if (degraded) {
+            recipients.forEach(chatId => this.degradedNoticeChats.add(chatId));
+        } else {
+            this.degradedNoticeChats.clear();
+        }
+        
+        notificationLogger.info(`Connection ${degraded ? 'degraded' : 'restored'} notice to ${recipients.length} user(s)`);
+        recipients.forEach(chatId => {
+            this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' })
+                .catch(error => notificationLogger.error(`Failed to send connection notice to ${chatId}: ${error.message}`));
+        });
+    }
 
+    // Actualizar el ledger de posiciones con un swap (el resultado se muestra en la notificación)
+    recordPosition(transactionData) {
+        if (transactionData.eventType !== 'SWAP') return;
+        
+        transactionData.position = this.positionLedger.recordTrade({
+            wallet: transactionData.wallet,
+            mint: transactionData.mintAddress,
+            symbol: transactionData.token,
+            direction: transactionData.buySell,
+            tokenAmount: transactionData.tokenAmount,
+            solAmount: transactionData.solAmount,
+            timestamp: transactionData.timestamp
+        });
+    }
+    
     // Iniciar WebSocket
     startWebSocket() {
         console.log('🔌 Starting WebSocket connection...');
@@ -703,13 +1056,34 @@ AI signals are provided for informational purposes only. Past performance does n
         try {
             // 🎯 NUEVA LÓGICA: Solo notificar a usuarios que tienen esta wallet específica
             this.userWallets.forEach((walletSet, chatId) => {
-                if (walletSet.has(walletInTransaction)) {
-                    const message = this.formatTransactionMessage(transactionData);
+                if (this.pausedUsers.has(chatId)) {
+                    notificationLogger.debug(`User ${chatId} skipped (tracking paused by inactivity)`);
+                } else if (walletSet.has(walletInTransaction)) {
+                    // Una sola notificación por firma y usuario, aunque rastree varias wallets implicadas
+                    const dedupKey = `${chatId}:${transactionData.signature}`;
+                    if (this.notifiedSignatures.has(dedupKey)) {
+                        notificationLogger.debug(`User ${chatId} skipped (signature already notified)`);
+                        return;
+                    }
+                    
+                    const decision = this.getNotificationDecision(chatId, transactionData);
+                    if (!decision.notify) {
+                        notificationLogger.debug(`User ${chatId} skipped by settings (${decision.reason})`);
+                        return;
+                    }
+                    this.notifiedSignatures.markSeen(dedupKey);
+                    
+                    const message = this.formatTransactionMessage(transactionData, chatId);
                     notificationLogger.debug(`Sending to user ${chatId} (wallet ${walletInTransaction.substring(0,8)}... is tracked)`);
                     
-                    this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' })
-                        .then(() => {
-                            notificationLogger.notification(`✅ Sent to user ${chatId}: ${transactionData.token} ${transactionData.buySell}`);
+                    this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown', disable_notification: decision.silent })
+                        .then((sentMessage) => {
+                            notificationLogger.notification(`✅ Sent to user ${chatId}: ${transactionData.token} ${transactionData.buySell || transactionData.eventType}`);
+                            // Alerta temprana: guardar el mensaje para editarlo con la finalidad
+                            const pending = this.pendingFinality.get(transactionData.signature);
+                            if (pending && this.isEarlyAlert(transactionData)) {
+                                pending.messages.push({ chatId, messageId: sentMessage.message_id, data: transactionData });
+                            }
                         })
                         .catch((error) => {
                             notificationLogger.error(`❌ Failed to send to user ${chatId}: ${error.message}`);
@@ -721,7 +1095,7 @@ AI signals are provided for informational purposes only. Past performance does n
                 }
             });
             
-            notificationLogger.info(`📢 Notified ${notifiedUsers} users for wallet ${walletInTransaction.substring(0,8)}...: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+            notificationLogger.info(`📢 Notified ${notifiedUsers} users for wallet ${walletInTransaction.substring(0,8)}...: ${transactionData.token} ${transactionData.buySell || transactionData.eventType} ${transactionData.amount}`);
         } catch (error) {
             console.error('\n❌ =============== CRITICAL ERROR IN NOTIFYUSERS ===============');
             console.error('❌ [ERROR] Error in notifyUsers:', error);
@@ -730,8 +1104,8 @@ AI signals are provided for informational purposes only. Past performance does n
         }
     }
 
-    // Formatear mensaje de transacción
-    formatTransactionMessage(data) {
+    // Formatear mensaje de transacción (chatId permite mostrar el label del usuario)
+    formatTransactionMessage(data, chatId = null) {
         botLogger.debug(`Formatting message: ${data.token} ${data.buySell} ${data.amount}`);
         
         try {
@@ -744,8 +1118,33 @@ AI signals are provided for informational purposes only. Past performance does n
             console.log('🔧 [DEBUG] Getting wallet from transaction...');
             const walletAddress = this.getWalletFromTransaction(data) || 'Unknown';
             console.log('🔧 [DEBUG] Wallet address obtained:', walletAddress);
-            const shortWallet = walletAddress.length > 8 ? walletAddress.substring(0, 8) + '...' : walletAddress;
+            const walletDisplay = this.formatWalletName(chatId, walletAddress);
+            
+            // Eventos no-SWAP: plantilla dedicada por tipo
+            if (data.eventType && data.eventType !== 'SWAP') {
+                return renderEventMessage(data, { walletDisplay, timestamp, notes: this.formatOtherInvolvedWallets(data, chatId) });
+            }
         
+            // Swaps sin SOL (stablecoin ↔ token o token ↔ token): "swapped X A for Y B"
+            if (data.inputToken && data.outputToken && data.inputToken.symbol !== 'SOL' && data.outputToken.symbol !== 'SOL') {
+                const emoji = data.buySell === 'BUY' ? '🟢 ' : data.buySell === 'SELL' ? '🔴 ' : '🔄 ';
+                const formatLeg = (token) => `${formatQuantity(token.amount)} $${this.escapeMarkdown(token.symbol)}`;
+                
+                return `🔔 *New Transaction*\n\n` +
+                       `👛 Wallet ${walletDisplay} ${emoji}swapped ${formatLeg(data.inputToken)} for ${formatLeg(data.outputToken)}\n` +
+                       (typeof data.usdValue === 'number'
+                           ? `💵 *Value:* $${data.usdValue.toFixed(2)}${typeof data.solAmount === 'number' ? ` (~${formatSol(data.solAmount)})` : ''}\n`
+                           : '') +
+                       this.formatTokenDetails(data) +
+                       this.formatPositionDetails(data) +
+                       `\n` +
+                       this.formatOtherInvolvedWallets(data, chatId) +
+                       formatDeliveryNotes(data) +
+                       `📝 *Signature:* \`${data.signature}\`\n` +
+                       `⏰ *Time:* ${timestamp}\n\n` +
+                       `[View on Solscan](https://solscan.io/tx/${data.signature})`;
+            }
+            
             // Formatear según el tipo de transacción - SIEMPRE usar el formato mejorado
             if (data.token && data.token !== 'Unknown' && data.amount && data.amount !== 'N/A SOL') {
                 // Transacción con datos válidos - usar formato mejorado
@@ -769,7 +1168,12 @@ AI signals are provided for informational purposes only. Past performance does n
                 }
                 
                 const message = `🔔 *New Transaction*\n\n` +
-                       `👛 Wallet \`${shortWallet}\` ${emoji}${buySellText} ${amountText} in ${tokenSymbol}\n\n` +
+                       `👛 Wallet ${walletDisplay} ${emoji}${buySellText} ${amountText} in ${tokenSymbol}\n` +
+                       this.formatTokenDetails(data) +
+                       this.formatPositionDetails(data) +
+                       `\n` +
+                       this.formatOtherInvolvedWallets(data, chatId) +
+                       formatDeliveryNotes(data) +
                        `📝 *Signature:* \`${data.signature}\`\n` +
                        `⏰ *Time:* ${timestamp}\n\n` +
                        `[View on Solscan](https://solscan.io/tx/${data.signature})`;
@@ -784,7 +1188,7 @@ AI signals are provided for informational purposes only. Past performance does n
                 const emoji = data.buySell === 'BUY' ? '🟢 ' : data.buySell === 'SELL' ? '🔴 ' : '';
                 
                 const message = `🔔 *New Transaction*\n\n` +
-                       `👛 Wallet \`${shortWallet}\` ${emoji}${buySellText} ${amountDisplay} in ${tokenDisplay}\n\n` +
+                       `👛 Wallet ${walletDisplay} ${emoji}${buySellText} ${amountDisplay} in ${tokenDisplay}\n\n` +
                        `📝 *Signature:* \`${data.signature}\`\n` +
                        `⏰ *Time:* ${timestamp}\n\n` +
                        `[View on Solscan](https://solscan.io/tx/${data.signature})`;
@@ -806,84 +1210,429 @@ AI signals are provided for informational purposes only. Past performance does n
         }
     }
     
-    // Obtener wallet address de la transacción
-    getWalletFromTransaction(transactionData) {
-        // 🎯 CORRECCIÓN: Usar la wallet específica que viene en los datos de transacción
-        // El WebSocket ahora identifica correctamente la wallet involucrada
-        if (transactionData.wallet && typeof transactionData.wallet === 'string' && transactionData.wallet.length > 20) {
-            return transactionData.wallet;
+    // Otras wallets del usuario en la misma firma: se notifican juntas en un solo mensaje
+    formatOtherInvolvedWallets(data, chatId) {
+        const userWalletSet = this.userWallets.get(chatId);
+        const others = (data.involvedWallets || [])
+            .filter(wallet => wallet !== data.wallet && userWalletSet?.has(wallet));
+        
+        if (others.length === 0) return '';
+        return `👥 *Also involves:* ${others.map(wallet => this.formatWalletName(chatId, wallet)).join(', ')}\n`;
+    }
+    
+    // Venue (y bonding curve de Pump.fun), cantidad exacta, precio por token en SOL y mint en bloque de código
+    formatTokenDetails(data) {
+        let details = formatVenue(data) + formatPumpFun(data);
+        
+        if (typeof data.tokenAmount === 'number') {
+            details += `🪙 *Amount:* ${formatExactQuantity(data.tokenAmount)} $${this.escapeMarkdown(data.token)}\n`;
+        }
+        if (typeof data.pricePerTokenSol === 'number') {
+            details += `🏷️ *Price:* ${formatSolPrice(data.pricePerTokenSol)} per token\n`;
+        }
+        if (data.mintAddress) {
+            details += `📋 *Mint:*\n\`\`\`\n${data.mintAddress}\n\`\`\`\n`;
         }
         
-        // Fallback: usar la primera wallet rastreada si no se puede identificar
-        const firstWallet = Array.from(this.websocket.trackedWallets)[0];
-        return firstWallet || 'Unknown Wallet';
+        return details;
     }
     
-    // Configurar el menú de comandos persistente (botón MENU)
-    async setupBotMenu() {
-        console.log('📝 Setting up bot menu...');
+    // Resultado de la venta según el ledger: entrada media, PnL realizado y posición restante
+    formatPositionDetails(data) {
+        const position = data.position;
+        if (!position || position.direction !== 'SELL') return '';
         
-        const commands = [
-            { command: 'start', description: '🚀 Show main menu' },
-            { command: 'track', description: '➕ Track a Solana wallet' },
-            { command: 'untrack', description: '➖ Stop tracking a wallet' },
-            { command: 'list', description: '📋 Show tracked wallets' },
-            { command: 'status', description: '📊 Check bot status' },
-            { command: 'settings', description: '⚙️ Advanced technical settings' },
-            { command: 'signals', description: '🤖 AI trading signals' },
-            { command: 'clear', description: '🗑️ Clear bot messages' },
-            { command: 'help', description: '❓ Get help and info' }
-        ];
+        if (position.avgEntrySol === null) {
+            return `📊 *Entry:* unknown (bought before tracking started)\n`;
+        }
         
-        try {
-            await this.bot.setMyCommands(commands);
-            console.log('✅ Bot menu configured successfully!');
-            console.log('📝 Commands registered:', commands.length);
-        } catch (error) {
-            console.error('❌ Failed to set bot menu:', error.message);
+        const sign = position.realizedPnlSol >= 0 ? '+' : '-';
+        const pnlEmoji = position.realizedPnlSol >= 0 ? '📈' : '📉';
+        let details = `📊 *Avg entry:* ${formatSolPrice(position.avgEntrySol)} per token\n` +
+                      `${pnlEmoji} *Realized PnL:* ${sign}${formatSol(Math.abs(position.realizedPnlSol))}` +
+                      (position.realizedPnlPct !== null ? ` (${sign}${Math.abs(position.realizedPnlPct).toFixed(1)}%)` : '') + `\n`;
+        
+        details += position.positionClosed
+            ? `📦 *Remaining:* position closed\n`
+            : `📦 *Remaining:* ${formatExactQuantity(position.remainingQuantity)} $${this.escapeMarkdown(data.token)}\n`;
+        
+        if (position.unmatchedQuantity > 0) {
+            details += `ℹ️ ${formatQuantity(position.unmatchedQuantity)} tokens sold had no tracked entry\n`;
         }
+        
+        return details;
     }
     
-    // Manejadores de botones
-    handleStatusButton(chatId) {
-        const status = this.websocket.getStatus();
-        const userWalletCount = this.userWallets.get(chatId)?.size || 0;
-        const remainingSlots = this.MAX_WALLETS_PER_USER - userWalletCount;
+    // Resumen de posiciones abiertas y cerradas de una wallet (/pnl)
+    formatPnlSummary(chatId, walletAddress) {
+        const summary = this.positionLedger.getWalletSummary(walletAddress);
+        const signed = (amount) => `${amount >= 0 ? '+' : '-'}${formatSol(Math.abs(amount))}`;
         
-        const statusMessage = `
-📊 **Bot Status:**
-
-🔌 WebSocket: ${status.connected ? '✅ Connected' : '❌ Disconnected'}
-👥 Total Tracked Wallets: ${status.trackedWallets}
-📱 Your Wallets: ${userWalletCount}/${this.MAX_WALLETS_PER_USER}
-🎯 Available Slots: ${remainingSlots}
-        `;
-        this.sendAndTrackMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+        let message = `📊 **Wallet PnL**\n\n👛 ${this.formatWalletEntry(chatId, walletAddress)}\n\n`;
+        
+        if (summary.open.length === 0 && summary.closed.length === 0) {
+            return message + 'No swaps recorded for this wallet yet. Positions are built from the trades seen while it is tracked.';
+        }
+        
+        message += `💰 **Realized PnL:** \`${signed(summary.realizedPnlSol)}\`\n` +
+                   `📦 **Open cost basis:** \`${formatSol(summary.openCostSol)}\`\n\n`;
+        
+        if (summary.open.length > 0) {
+            message += `🟢 **Open positions (${summary.open.length}):**\n`;
+            summary.open.slice(0, 10).forEach(position => {
+                message += `• $${this.escapeMarkdown(position.symbol)}: ${formatQuantity(position.quantity)} @ ${formatSolPrice(position.costSol / position.quantity)}` +
+                           ` (cost ${formatSol(position.costSol)}` +
+                           (position.sells > 0 ? `, realized ${signed(position.realizedPnlSol)}` : '') + `)\n`;
+            });
+            message += '\n';
+        }
+        
+        if (summary.closed.length > 0) {
+            message += `⚪ **Closed positions (${summary.closed.length}):**\n`;
+            summary.closed.slice(0, 10).forEach(position => {
+                const pct = position.boughtSol > 0 ? ` (${(position.realizedPnlSol / position.boughtSol * 100).toFixed(1)}%)` : '';
+                message += `• $${this.escapeMarkdown(position.symbol)}: ${signed(position.realizedPnlSol)}${pct}\n`;
+            });
+        }
+        
+        return message;
     }
     
-    handleListButton(chatId) {
-        if (this.userWallets.has(chatId) && this.userWallets.get(chatId).size > 0) {
-            const wallets = Array.from(this.userWallets.get(chatId));
-            const currentCount = wallets.length;
-            const remainingSlots = this.MAX_WALLETS_PER_USER - currentCount;
-            
-            let message = `📋 **Your Tracked Wallets**\n\n`;
-            
-            wallets.forEach((wallet, index) => {
-                message += `${index + 1}. \`${wallet}\`\n`;
-            });
-            
-            message += `\n📊 **Status:** ${currentCount}/${this.MAX_WALLETS_PER_USER} slots used\n`;
-            
-            if (remainingSlots > 0) {
-                message += `✅ You can track ${remainingSlots} more wallet${remainingSlots > 1 ? 's' : ''}\n`;
+    // ========== TRANSACTION HISTORY ==========
+    
+    // Interpretar los argumentos de /history: wallet/label, límite, dirección y token en cualquier orden
+    parseHistoryQuery(chatId, args) {
+        const userWalletSet = this.userWallets.get(chatId) || new Set();
+        const query = { wallets: Array.from(userWalletSet), limit: this.HISTORY_PAGE_SIZE, direction: null, token: null };
+        const walletParts = [];
+        
+        args.split(/\s+/).filter(Boolean).forEach(part => {
+            const lower = part.toLowerCase();
+            if (lower === 'buy' || lower === 'sell') {
+                query.direction = lower.toUpperCase();
+            } else if (part.startsWith('$')) {
+                query.token = part;
+            } else if (lower.startsWith('token:')) {
+                query.token = part.substring('token:'.length);
             } else {
-                message += `⚠️ **Limit reached** - Use \`/untrack\` to free up slots\n`;
+                walletParts.push(part);
             }
-            
-            this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
-        } else {
-            this.sendAndTrackMessage(chatId, 
+        });
+        
+        // Los números pueden formar parte de un label ("Whale 1"): primero se prueba el texto completo
+        // y después cada número (del último al primero) como límite, con el resto como wallet/label
+        const candidates = [{ limit: null, walletParts }];
+        for (let i = walletParts.length - 1; i >= 0; i--) {
+            if (/^\d+$/.test(walletParts[i])) {
+                candidates.push({ limit: parseInt(walletParts[i]), walletParts: walletParts.filter((_, index) => index !== i) });
+            }
+        }
+        
+        const match = candidates
+            .map(candidate => ({
+                ...candidate,
+                walletAddress: candidate.walletParts.length > 0 ? this.resolveUserWallet(chatId, candidate.walletParts.join(' ')) : null
+            }))
+            .find(candidate => candidate.walletParts.length === 0 || candidate.walletAddress);
+        
+        if (!match) {
+            return { error: '❌ Wallet not found in your tracking list.\n\nUse: `/history [wallet|label] [limit] [buy|sell] [$TOKEN]`' };
+        }
+        if (match.limit !== null) {
+            query.limit = Math.min(Math.max(match.limit, 1), this.MAX_HISTORY_PAGE_SIZE);
+        }
+        if (match.walletAddress) {
+            query.wallets = [match.walletAddress];
+        }
+        
+        if (query.wallets.length === 0) {
+            return { error: '📜 You are not tracking any wallets yet. Use `/track <wallet>` to start!' };
+        }
+        
+        return query;
+    }
+    
+    renderHistoryPage(chatId, query, page) {
+        const entries = this.transactionHistory.query(query.wallets, query);
+        const totalPages = Math.max(1, Math.ceil(entries.length / query.limit));
+        const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+        const pageEntries = entries.slice(currentPage * query.limit, (currentPage + 1) * query.limit);
+        
+        const filters = [
+            query.wallets.length === 1 ? this.formatWalletName(chatId, query.wallets[0]) : `${query.wallets.length} wallets`,
+            query.direction ? `${query.direction.toLowerCase()}s only` : null,
+            query.token ? `\`${query.token}\`` : null
+        ].filter(Boolean).join(' · ');
+        
+        let text = `📜 **Transaction History**\n${filters}\n\n`;
+        
+        if (pageEntries.length === 0) {
+            text += 'No transactions recorded yet for this selection.';
+        } else {
+            pageEntries.forEach((entry, index) => {
+                text += `${currentPage * query.limit + index + 1}. ${this.formatHistoryEntry(chatId, entry, query.wallets.length > 1)}\n`;
+            });
+            text += `\nPage ${currentPage + 1}/${totalPages} · ${entries.length} transaction${entries.length === 1 ? '' : 's'}`;
+        }
+        
+        const navigation = [];
+        if (currentPage > 0) {
+            navigation.push({ text: '⬅️ Prev', callback_data: `history_page_${currentPage - 1}` });
+        }
+        if (currentPage < totalPages - 1) {
+            navigation.push({ text: 'Next ➡️', callback_data: `history_page_${currentPage + 1}` });
+        }
+        
+        return { text, keyboard: { inline_keyboard: navigation.length > 0 ? [navigation] : [] } };
+    }
+    
+    formatHistoryEntry(chatId, entry, showWallet) {
+        const time = new Date(entry.timestamp).toISOString().substring(5, 16).replace('T', ' ');
+        const emoji = { BUY: '🟢', SELL: '🔴', IN: '📥', OUT: '📤' }[entry.direction] || '🔄';
+        const action = entry.eventType === 'SWAP'
+            ? (entry.direction || 'SWAP')
+            : entry.eventType.replace('_', ' ');
+        const token = entry.token && entry.token !== 'SOL' ? ` $${this.escapeMarkdown(entry.token)}` : '';
+        const quantity = typeof entry.tokenAmount === 'number' ? ` ${formatQuantity(entry.tokenAmount)}` : '';
+        const value = typeof entry.solAmount === 'number' ? ` · ${formatSol(entry.solAmount)}` : '';
+        
+        return `${emoji} ${action}${quantity}${token}${value}` +
+               (entry.venue ? ` · ${this.escapeMarkdown(entry.venue)}` : '') +
+               (showWallet ? ` · ${this.formatWalletName(chatId, entry.wallet)}` : '') +
+               ` · ${time} · [tx](https://solscan.io/tx/${entry.signature})`;
+    }
+    
+    // ========== RECENT ACTIVITY (BACKFILL) ==========
+    
+    // Al rastrear una wallet: resumir sus últimos swaps con el mismo pipeline que las notificaciones
+    async sendBackfillDigest(chatId, walletAddress) {
+        const limit = this.getUserBackfillLimit(chatId);
+        if (!(limit > 0)) return;
+        
+        try {
+            const transactions = await this.websocket.backfillWallet(walletAddress, limit);
+            if (!transactions) return;
+            
+            // El historial se comparte entre usuarios: /history ya muestra la actividad recuperada
+            transactions.forEach(transactionData => this.transactionHistory.record(transactionData));
+            
+            // El usuario pudo dejar de rastrearla mientras se procesaba el backfill
+            if (!this.userWallets.get(chatId)?.has(walletAddress)) return;
+            
+            this.sendAndTrackMessage(chatId, this.formatBackfillDigest(chatId, walletAddress, transactions, limit), {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            botLogger.error(`Backfill failed for ${walletAddress}: ${error.message}`);
+        }
+    }
+    
+    formatBackfillDigest(chatId, walletAddress, transactions, limit) {
+        const swaps = transactions.filter(transactionData => transactionData.eventType === 'SWAP');
+        let message = `📜 **Recent Activity**\n\n👛 ${this.formatWalletEntry(chatId, walletAddress)}\n\n`;
+        
+        if (swaps.length === 0) {
+            return message + `No swaps found in the last ${limit} transactions` +
+                   (transactions.length > 0 ? ` (${transactions.length} other event${transactions.length > 1 ? 's' : ''}).` : '.');
+        }
+        
+        const buys = swaps.filter(swap => swap.buySell === 'BUY');
+        const sells = swaps.filter(swap => swap.buySell === 'SELL');
+        const sumSol = (list) => list.reduce((sum, swap) => sum + (typeof swap.solAmount === 'number' ? swap.solAmount : 0), 0);
+        
+        // Tokens más operados (por número de swaps)
+        const tokenCounts = new Map();
+        swaps.forEach(swap => tokenCounts.set(swap.token, (tokenCounts.get(swap.token) || 0) + 1));
+        const topTokens = Array.from(tokenCounts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([token, count]) => `$${this.escapeMarkdown(token)} (${count})`);
+        
+        const oldest = swaps[swaps.length - 1].timestamp;
+        
+        message += `🔎 **${swaps.length} swap${swaps.length > 1 ? 's' : ''}** in the last ${limit} transactions ` +
+                   `(since ${new Date(oldest).toISOString().substring(0, 16).replace('T', ' ')} UTC)\n` +
+                   `🟢 Buys: ${buys.length} · ${formatSol(sumSol(buys))}\n` +
+                   `🔴 Sells: ${sells.length} · ${formatSol(sumSol(sells))}\n` +
+                   (swaps.length > buys.length + sells.length ? `🔄 Token swaps: ${swaps.length - buys.length - sells.length}\n` : '') +
+                   `🪙 **Most traded:** ${topTokens.join(', ')}\n\n`;
+        
+        message += swaps.slice(0, 10)
+            .map(swap => this.formatHistoryEntry(chatId, toHistoryEntry(swap), false))
+            .join('\n');
+        
+        if (swaps.length > 10) {
+            message += `\n\n💡 Use \`/history\` to see all of them.`;
+        }
+        
+        return message;
+    }
+    
+    // Callback de paginación: editar el mensaje existente
+    async handleHistoryPage(chatId, messageId, page) {
+        const query = this.historyQueries.get(chatId);
+        if (!query) {
+            this.sendAndTrackMessage(chatId, '⌛ This history view has expired. Run `/history` again.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const rendered = this.renderHistoryPage(chatId, query, page);
+        try {
+            await this.bot.editMessageText(rendered.text, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: rendered.keyboard
+            });
+        } catch (error) {
+            console.error('❌ Error updating history page:', error.message);
+        }
+    }
+    
+    // Obtener wallet address de la transacción
+    getWalletFromTransaction(transactionData) {
+        // 🎯 Cada evento lleva la wallet rastreada a la que pertenece; sin ella no se atribuye a nadie
+        if (transactionData.wallet && typeof transactionData.wallet === 'string' && transactionData.wallet.length > 20) {
+            return transactionData.wallet;
+        }
+        return null;
+    }
+    
+    // ========== WALLET LABELS ==========
+    
+    // Escapar caracteres especiales de Markdown (labels los escribe el usuario)
+    escapeMarkdown(text) {
+        return String(text).replace(/([_*`\[])/g, '\\$1');
+    }
+    
+    getWalletLabel(chatId, walletAddress) {
+        return this.walletLabels.get(chatId)?.get(walletAddress) || null;
+    }
+    
+    setWalletLabel(chatId, walletAddress, label) {
+        if (!this.walletLabels.has(chatId)) {
+            this.walletLabels.set(chatId, new Map());
+        }
+        
+        const labels = this.walletLabels.get(chatId);
+        if (label) {
+            labels.set(walletAddress, label);
+        } else {
+            labels.delete(walletAddress);
+        }
+    }
+    
+    // Nombre corto para notificaciones: label del usuario o dirección truncada
+    formatWalletName(chatId, walletAddress) {
+        const label = chatId !== null ? this.getWalletLabel(chatId, walletAddress) : null;
+        if (label) {
+            return `*${this.escapeMarkdown(label)}*`;
+        }
+        
+        const shortWallet = walletAddress.length > 8 ? walletAddress.substring(0, 8) + '...' : walletAddress;
+        return `\`${shortWallet}\``;
+    }
+    
+    // Entrada completa para listados: label + dirección completa
+    formatWalletEntry(chatId, walletAddress) {
+        const label = this.getWalletLabel(chatId, walletAddress);
+        return label
+            ? `*${this.escapeMarkdown(label)}* - \`${walletAddress}\``
+            : `\`${walletAddress}\``;
+    }
+    
+    // Buscar una wallet del usuario por dirección o por label (sin distinguir mayúsculas)
+    resolveUserWallet(chatId, input) {
+        const userWalletSet = this.userWallets.get(chatId);
+        if (!userWalletSet || !input) return null;
+        
+        if (userWalletSet.has(input)) return input;
+        
+        const normalizedInput = input.trim().toLowerCase();
+        for (const walletAddress of userWalletSet) {
+            const label = this.getWalletLabel(chatId, walletAddress);
+            if (label && label.toLowerCase() === normalizedInput) {
+                return walletAddress;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Configurar el menú de comandos persistente (botón MENU)
+    async setupBotMenu() {
+        console.log('📝 Setting up bot menu...');
+        
+        const commands = [
+            { command: 'start', description: '🚀 Show main menu' },
+            { command: 'track', description: '➕ Track a Solana wallet' },
+            { command: 'untrack', description: '➖ Stop tracking a wallet' },
+            { command: 'rename', description: '🏷️ Label a tracked wallet' },
+            { command: 'list', description: '📋 Show tracked wallets' },
+            { command: 'status', description: '📊 Check bot status' },
+            { command: 'settings', description: '⚙️ Notification settings' },
+            { command: 'filters', description: '🧹 Token filters' },
+            { command: 'pnl', description: '📊 Wallet positions & PnL' },
+            { command: 'history', description: '📜 Recent transactions' },
+            { command: 'signals', description: '🤖 AI trading signals' },
+            { command: 'clear', description: '🗑️ Clear bot messages' },
+            { command: 'help', description: '❓ Get help and info' }
+        ];
+        
+        try {
+            await this.bot.setMyCommands(commands);
+            console.log('✅ Bot menu configured successfully!');
+            console.log('📝 Commands registered:', commands.length);
+        } catch (error) {
+            console.error('❌ Failed to set bot menu:', error.message);
+        }
+    }
+    
+    // Manejadores de botones
+    handleStatusButton(chatId) {
+        const status = this.websocket.getStatus();
+        const userWalletCount = this.userWallets.get(chatId)?.size || 0;
+        const remainingSlots = this.MAX_WALLETS_PER_USER - userWalletCount;
+        
+        const statusMessage = `
+📊 **Bot Status:**
+
+🔌 WebSocket: ${status.connected ? '✅ Connected' : '❌ Disconnected'}
+${this.formatConnectionStatus(status.connection)}
+👥 Total Tracked Wallets: ${status.trackedWallets}
+📱 Your Wallets: ${userWalletCount}/${this.MAX_WALLETS_PER_USER}
+🎯 Available Slots: ${remainingSlots}
+${this.formatProviderStatus(status)}
+⏰ Inactivity Timeout: ${this.formatDuration(this.getUserInactivityTimeout(chatId))}
+        `;
+        this.sendAndTrackMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+    }
+    
+    handleListButton(chatId) {
+        if (this.userWallets.has(chatId) && this.userWallets.get(chatId).size > 0) {
+            const wallets = Array.from(this.userWallets.get(chatId));
+            const currentCount = wallets.length;
+            const remainingSlots = this.MAX_WALLETS_PER_USER - currentCount;
+            
+            let message = `📋 **Your Tracked Wallets**\n\n`;
+            
+            wallets.forEach((wallet, index) => {
+                message += `${index + 1}. ${this.formatWalletEntry(chatId, wallet)}\n`;
+            });
+            
+            message += `\n📊 **Status:** ${currentCount}/${this.MAX_WALLETS_PER_USER} slots used\n`;
+            
+            if (remainingSlots > 0) {
+                message += `✅ You can track ${remainingSlots} more wallet${remainingSlots > 1 ? 's' : ''}\n`;
+            } else {
+                message += `⚠️ **Limit reached** - Use \`/untrack\` to free up slots\n`;
+            }
+            
+            this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
+        } else {
+            this.sendAndTrackMessage(chatId, 
                 `📋 **No Wallets Tracked**\n\n` +
                 `You are not tracking any wallets yet.\n\n` +
                 `📊 Available slots: ${this.MAX_WALLETS_PER_USER}\n\n` +
@@ -898,7 +1647,7 @@ AI signals are provided for informational purposes only. Past performance does n
 ➕ **Track a Wallet**
 
 📝 To track a Solana wallet, use this command:
-\`/track [wallet_address]\`
+\`/track [wallet_address] [label]\`
 
 🔍 **Example:**
 \`/track JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
@@ -909,11 +1658,17 @@ AI signals are provided for informational purposes only. Past performance does n
     }
     
     handleUntrackHelpButton(chatId) {
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        const walletsList = wallets.length > 0
+            ? `📋 **Your tracked wallets:**\n${wallets.map((w, i) => `${i + 1}. ${this.formatWalletEntry(chatId, w)}`).join('\n')}\n`
+            : '';
+        
         const untrackMessage = `
 ➖ **Untrack a Wallet**
 
+${walletsList}
 📝 To stop tracking a wallet, use:
-\`/untrack [wallet_address]\`
+\`/untrack [wallet_address|label]\`
 
 🔍 **Example:**
 \`/untrack JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
@@ -948,10 +1703,16 @@ AI signals are provided for informational purposes only. Past performance does n
 🔧 **Available Commands:**
 
 • \`/start\` - Show main menu
-• \`/track <wallet>\` - Track a wallet
-• \`/untrack <wallet>\` - Stop tracking
+• \`/track <wallet> [label]\` - Track a wallet
+• \`/untrack <wallet|label>\` - Stop tracking
+• \`/rename <wallet|label> <label>\` - Label a wallet
 • \`/list\` - Show tracked wallets
 • \`/status\` - Check bot status
+• \`/filters\` - Show your token filters
+• \`/pnl <wallet|label>\` - Positions and realized PnL
+• \`/history [wallet|label] [limit]\` - Recent transactions
+• \`/mute <mint|symbol>\` - Mute a token
+• \`/allow <mint>\` - Only notify allowlisted mints
 • \`/clear\` - Clear bot messages
 • \`/help\` - Show help information
 
@@ -966,288 +1727,301 @@ AI signals are provided for informational purposes only. Past performance does n
     
     // Handle Settings Configuration
     handleSettingsConfig(chatId, setting, value) {
-        // Initialize user settings if not exists
-        if (!this.userSettings.has(chatId)) {
-            this.userSettings.set(chatId, { ...this.defaultSettings });
-        }
-        
-        const userConfig = this.userSettings.get(chatId);
+        const userConfig = this.getUserSettings(chatId);
         let responseMessage = '';
         let isValidConfig = false;
         
         switch(setting) {
-            case 'latency':
-                if (['low', 'standard', 'high'].includes(value)) {
-                    userConfig.latencyOptimization = value;
+            case 'min':
+                if (/^\d+(\.\d+)?$/.test(value)) {
+                    userConfig.minSolAmount = parseFloat(value);
                     isValidConfig = true;
-                    responseMessage = `⚡ **Latency Optimization Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Mode:**\n`;
-                    if (value === 'low') {
-                        responseMessage += '• Network priority: Maximum\n• Buffer size: Minimal\n• Processing: Real-time\n• Latency: <50ms average';
-                    } else if (value === 'standard') {
-                        responseMessage += '• Network priority: Balanced\n• Buffer size: Optimized\n• Processing: Efficient\n• Latency: 50-100ms average';
-                    } else {
-                        responseMessage += '• Network priority: Stability\n• Buffer size: Extended\n• Processing: Comprehensive\n• Latency: 100-200ms average';
-                    }
+                    responseMessage = `💰 **Minimum Trade Size Updated**\n\n` +
+                                      (userConfig.minSolAmount > 0
+                                          ? `You will only be notified about trades of at least \`${userConfig.minSolAmount} SOL\`.`
+                                          : `You will be notified about trades of any size.`);
                 } else {
-                    responseMessage = '❌ **Invalid Latency Setting**\n\nValid options: `low`, `standard`, `high`';
+                    responseMessage = '❌ **Invalid Minimum Amount**\n\nUse a SOL amount, e.g. `/settings min 0.5` (or `0` to disable)';
                 }
                 break;
                 
-            case 'precision':
-                if (['low', 'medium', 'high', 'ultra'].includes(value)) {
-                    userConfig.precisionFilter = value;
+            case 'direction':
+                if (['both', 'buy', 'sell'].includes(value)) {
+                    userConfig.notifyBuys = value !== 'sell';
+                    userConfig.notifySells = value !== 'buy';
                     isValidConfig = true;
-                    responseMessage = `🎯 **Precision Filter Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Precision:**\n`;
-                    if (value === 'low') {
-                        responseMessage += '• Filter threshold: 90%\n• False positives: Higher\n• Processing load: Minimal\n• Suitable for: High-volume monitoring';
-                    } else if (value === 'medium') {
-                        responseMessage += '• Filter threshold: 95%\n• False positives: Moderate\n• Processing load: Balanced\n• Suitable for: Standard tracking';
-                    } else if (value === 'high') {
-                        responseMessage += '• Filter threshold: 98%\n• False positives: Low\n• Processing load: Intensive\n• Suitable for: Precision monitoring';
-                    } else {
-                        responseMessage += '• Filter threshold: 99.5%\n• False positives: Minimal\n• Processing load: Maximum\n• Suitable for: Critical analysis';
-                    }
+                    responseMessage = `🔀 **Directions Updated**\n\nYou will be notified about: \`${this.formatDirections(userConfig)}\``;
                 } else {
-                    responseMessage = '❌ **Invalid Precision Setting**\n\nValid options: `low`, `medium`, `high`, `ultra`';
+                    responseMessage = '❌ **Invalid Direction Setting**\n\nValid options: `both`, `buy`, `sell`';
                 }
                 break;
                 
-            case 'buffer':
-                if (['4kb', '8kb', '16kb', '32kb'].includes(value)) {
-                    userConfig.websocketBuffer = value.toUpperCase();
+            case 'commitment':
+                if (HeliusWebSocketBackend.COMMITMENT_LEVELS.includes(value)) {
+                    userConfig.commitment = value;
                     isValidConfig = true;
-                    responseMessage = `💾 **WebSocket Buffer Updated**\n\nNew setting: \`${value.toUpperCase()}\`\n\n**Technical Specs:**\n`;
-                    const bufferSize = parseInt(value);
-                    responseMessage += `• Memory allocation: ${bufferSize}KB\n• Concurrent connections: ${bufferSize * 2}\n• Throughput capacity: ${bufferSize * 125}KB/s\n• Optimal for: ${bufferSize <= 8 ? 'Light usage' : bufferSize <= 16 ? 'Standard usage' : 'Heavy usage'}`;
+                    this.syncUserWalletCommitments(chatId);
+                    responseMessage = `⛓️ **Commitment Level Updated**\n\nNew setting: \`${value}\`\n\n`;
+                    if (value === 'processed') {
+                        responseMessage += '• Fastest alerts (~0.5s)\n• Transactions may still be dropped';
+                    } else if (value === 'confirmed') {
+                        responseMessage += '• Fast alerts (~1-2s)\n• Voted on by a supermajority of the cluster';
+                    } else {
+                        responseMessage += '• Slowest alerts (~15-30s)\n• Transaction is final and cannot be rolled back';
+                    }
+                    if (value !== 'finalized') {
+                        responseMessage += '\n\n✅ The alert is updated once the transaction is finalized, or marked ❌ dropped if it never lands';
+                    }
                 } else {
-                    responseMessage = '❌ **Invalid Buffer Setting**\n\nValid options: `4KB`, `8KB`, `16KB`, `32KB`';
+                    responseMessage = '❌ **Invalid Commitment Setting**\n\nValid options: `processed`, `confirmed`, `finalized`';
                 }
                 break;
                 
-            case 'analytics':
-                if (['basic', 'standard', 'advanced', 'pro'].includes(value)) {
-                    userConfig.analyticsDepth = value;
+            case 'quiet': {
+                const quietMatch = value.match(/^(\d{1,2})-(\d{1,2})$/);
+                if (value === 'off') {
+                    userConfig.quietHours = null;
                     isValidConfig = true;
-                    responseMessage = `📊 **Analytics Depth Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Analytics:**\n`;
-                    if (value === 'basic') {
-                        responseMessage += '• Data points: 5-10\n• Historical depth: 1 hour\n• Indicators: Price, Volume\n• Performance impact: Minimal';
-                    } else if (value === 'standard') {
-                        responseMessage += '• Data points: 15-25\n• Historical depth: 24 hours\n• Indicators: OHLC, Volume, Momentum\n• Performance impact: Low';
-                    } else if (value === 'advanced') {
-                        responseMessage += '• Data points: 30-50\n• Historical depth: 7 days\n• Indicators: Full technical suite\n• Performance impact: Moderate';
-                    } else {
-                        responseMessage += '• Data points: 75+\n• Historical depth: 30 days\n• Indicators: Complete analysis\n• Performance impact: High';
-                    }
+                    responseMessage = '🔔 **Quiet Hours Disabled**\n\nNotifications will always make a sound.';
+                } else if (quietMatch && parseInt(quietMatch[1]) < 24 && parseInt(quietMatch[2]) < 24 && quietMatch[1] !== quietMatch[2]) {
+                    userConfig.quietHours = { start: parseInt(quietMatch[1]), end: parseInt(quietMatch[2]) };
+                    isValidConfig = true;
+                    responseMessage = `🔕 **Quiet Hours Updated**\n\nBetween \`${this.formatQuietHours(userConfig.quietHours)}\` notifications are delivered silently.`;
                 } else {
-                    responseMessage = '❌ **Invalid Analytics Setting**\n\nValid options: `basic`, `standard`, `advanced`, `pro`';
+                    responseMessage = '❌ **Invalid Quiet Hours**\n\nUse a UTC hour range, e.g. `/settings quiet 22-7`, or `off`';
                 }
                 break;
+            }
                 
-            case 'risk':
-                if (['conservative', 'moderate', 'aggressive'].includes(value)) {
-                    userConfig.riskCalibration = value;
+            case 'timeout':
+                if (value === 'never' || value === 'off' || value === '0') {
+                    userConfig.inactivityTimeout = 0;
                     isValidConfig = true;
-                    responseMessage = `⚠️ **Risk Calibration Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Risk Profile:**\n`;
-                    if (value === 'conservative') {
-                        responseMessage += '• Alert threshold: High\n• False alarm rate: <2%\n• Signal confidence: >85%\n• Suitable for: Long-term tracking';
-                    } else if (value === 'moderate') {
-                        responseMessage += '• Alert threshold: Medium\n• False alarm rate: 2-5%\n• Signal confidence: >75%\n• Suitable for: Balanced monitoring';
-                    } else {
-                        responseMessage += '• Alert threshold: Low\n• False alarm rate: 5-10%\n• Signal confidence: >65%\n• Suitable for: Active trading';
-                    }
+                    responseMessage = `⏰ **Inactivity Timeout Updated**\n\nYour wallets will be tracked indefinitely, even when you are inactive.`;
+                } else if (value === 'default') {
+                    userConfig.inactivityTimeout = null;
+                    isValidConfig = true;
+                    responseMessage = `⏰ **Inactivity Timeout Updated**\n\nUsing the default timeout: \`${this.formatDuration(this.INACTIVITY_LIMIT)}\``;
+                } else if (/^\d+$/.test(value) && parseInt(value) > 0) {
+                    userConfig.inactivityTimeout = parseInt(value) * 60000;
+                    isValidConfig = true;
+                    responseMessage = `⏰ **Inactivity Timeout Updated**\n\nTracking pauses after \`${this.formatDuration(userConfig.inactivityTimeout)}\` without activity.\n` +
+                                      `Paused wallets are removed after \`${this.formatDuration(this.INACTIVITY_EXPIRY)}\`.`;
                 } else {
-                    responseMessage = '❌ **Invalid Risk Setting**\n\nValid options: `conservative`, `moderate`, `aggressive`';
+                    responseMessage = '❌ **Invalid Timeout Setting**\n\nValid options: minutes (e.g. `30`), `default` or `never`';
                 }
                 break;
                 
-            case 'sensitivity':
-                if (['low', 'balanced', 'high', 'extreme'].includes(value)) {
-                    userConfig.signalSensitivity = value;
+            case 'events': {
+                const categories = value === 'all'
+                    ? Object.keys(EVENT_CATEGORIES)
+                    : value.split(',').map(category => category.trim()).filter(Boolean);
+                const unknown = categories.filter(category => !EVENT_CATEGORIES[category]);
+                
+                if (categories.length > 0 && unknown.length === 0) {
+                    userConfig.eventCategories = Array.from(new Set(categories));
                     isValidConfig = true;
-                    responseMessage = `🔄 **Signal Sensitivity Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Sensitivity:**\n`;
-                    if (value === 'low') {
-                        responseMessage += '• Detection range: Major movements only\n• Noise filtering: Maximum\n• Signal frequency: Low\n• Best for: Long-term positions';
-                    } else if (value === 'balanced') {
-                        responseMessage += '• Detection range: Moderate movements\n• Noise filtering: Optimized\n• Signal frequency: Medium\n• Best for: Swing trading';
-                    } else if (value === 'high') {
-                        responseMessage += '• Detection range: Small movements\n• Noise filtering: Minimal\n• Signal frequency: High\n• Best for: Day trading';
-                    } else {
-                        responseMessage += '• Detection range: Micro movements\n• Noise filtering: Disabled\n• Signal frequency: Maximum\n• Best for: Scalping';
-                    }
+                    responseMessage = `📡 **Event Types Updated**\n\nYou will be notified about: \`${this.formatEventCategories(userConfig)}\``;
                 } else {
-                    responseMessage = '❌ **Invalid Sensitivity Setting**\n\nValid options: `low`, `balanced`, `high`, `extreme`';
+                    responseMessage = `❌ **Invalid Event Types**\n\nUse \`all\` or a comma-separated list of: \`${Object.keys(EVENT_CATEGORIES).join(', ')}\``;
                 }
                 break;
+            }
                 
-            case 'noise':
-                if (['enabled', 'disabled'].includes(value)) {
-                    userConfig.noiseReduction = value;
+            case 'backfill': {
+                const maxBackfill = HeliusWebSocketBackend.MAX_BACKFILL_LIMIT;
+                if (value === 'off' || value === '0') {
+                    userConfig.backfillLimit = 0;
                     isValidConfig = true;
-                    responseMessage = `🔇 **Noise Reduction Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Mode:**\n`;
-                    if (value === 'enabled') {
-                        responseMessage += '• Filter interference: Active\n• Signal clarity: Enhanced\n• Processing overhead: +15%\n• Recommended for: Most users';
-                    } else {
-                        responseMessage += '• Filter interference: Disabled\n• Raw signal data: Unfiltered\n• Processing overhead: None\n• Recommended for: Advanced users';
-                    }
+                    responseMessage = '📜 **Recent Activity Digest Disabled**\n\nNew wallets will be tracked without a summary of their recent activity.';
+                } else if (value === 'default') {
+                    userConfig.backfillLimit = null;
+                    isValidConfig = true;
+                    responseMessage = `📜 **Recent Activity Digest Updated**\n\nUsing the default: \`${this.formatBackfillLimit(this.getUserBackfillLimit(chatId))}\``;
+                } else if (/^\d+$/.test(value) && parseInt(value) <= maxBackfill) {
+                    userConfig.backfillLimit = parseInt(value);
+                    isValidConfig = true;
+                    responseMessage = `📜 **Recent Activity Digest Updated**\n\nWhen you track a wallet, its last \`${userConfig.backfillLimit}\` transactions are summarized.`;
                 } else {
-                    responseMessage = '❌ **Invalid Noise Setting**\n\nValid options: `enabled`, `disabled`';
+                    responseMessage = `❌ **Invalid Backfill Setting**\n\nValid options: a number of transactions (1-${maxBackfill}), \`default\` or \`off\``;
                 }
                 break;
+            }
                 
             case 'reset':
                 this.userSettings.set(chatId, { ...this.defaultSettings });
+                this.syncUserWalletCommitments(chatId);
                 isValidConfig = true;
-                responseMessage = '🔄 **Settings Reset Complete**\n\nAll configuration parameters have been restored to default values:\n\n• Latency Optimization: `standard`\n• Precision Filter: `medium`\n• WebSocket Buffer: `8KB`\n• Analytics Depth: `standard`\n• Risk Calibration: `moderate`\n• Signal Sensitivity: `balanced`\n• Noise Reduction: `enabled`\n• Algorithm Version: `v2.1.4`';
+                responseMessage = '🔄 **Settings Reset Complete**\n\nAll settings have been restored to default values:\n\n' +
+                                  this.formatSettingsSummary(chatId);
                 break;
                 
             default:
-                responseMessage = '❌ **Unknown Configuration Parameter**\n\nAvailable settings: `latency`, `precision`, `buffer`, `analytics`, `risk`, `sensitivity`, `noise`, `reset`';
+                responseMessage = '❌ **Unknown Setting**\n\nAvailable settings: `min`, `direction`, `commitment`, `quiet`, `timeout`, `events`, `backfill`, `reset`';
+        }
+        
+        if (isValidConfig) {
+            this.persistState();
         }
         
         if (isValidConfig && setting !== 'reset') {
-            responseMessage += '\n\n✅ **Configuration saved successfully**\nChanges will take effect on next transaction processing cycle.';
+            responseMessage += '\n\n✅ **Settings saved** - applied to your next notification.';
         }
         
         this.sendAndTrackMessage(chatId, responseMessage, { parse_mode: 'Markdown' });
     }
     
-    // Handle Settings Option Selection (when user clicks Latency, Precision, etc.)
+    // Handle Settings Option Selection (when user clicks Min SOL, Directions, etc.)
     handleSettingsOption(chatId, option) {
-        // Initialize user settings if not exists
-        if (!this.userSettings.has(chatId)) {
-            this.userSettings.set(chatId, { ...this.defaultSettings });
-        }
-        
-        const userConfig = this.userSettings.get(chatId);
+        const userConfig = this.getUserSettings(chatId);
         
         let message = '';
         let keyboard = {};
         
         switch(option) {
-            case 'latency':
-                message = `⚡ **Latency Optimization Configuration**\n\n` +
-                         `🔧 **Current Setting:** \`${userConfig.latencyOptimization}\`\n\n` +
-                         `📋 **Available Options:**\n\n` +
-                         `🟢 **Low** - Maximum speed, minimal latency (<50ms)\n` +
-                         `   • Network priority: Maximum\n` +
-                         `   • Buffer size: Minimal\n` +
-                         `   • Best for: High-frequency trading\n\n` +
-                         `🟡 **Standard** - Balanced performance (50-100ms)\n` +
-                         `   • Network priority: Balanced\n` +
-                         `   • Buffer size: Optimized\n` +
-                         `   • Best for: General usage\n\n` +
-                         `🔴 **High** - Stability focus (100-200ms)\n` +
-                         `   • Network priority: Stability\n` +
-                         `   • Buffer size: Extended\n` +
-                         `   • Best for: Reliable monitoring\n\n` +
-                         `💡 **Select your desired latency level:**`;
+            case 'min':
+                message = `💰 **Minimum Trade Size**\n\n` +
+                         `🔧 **Current Setting:** \`${userConfig.minSolAmount > 0 ? userConfig.minSolAmount + ' SOL' : 'any size'}\`\n\n` +
+                         `Trades smaller than this amount are not sent to you.\n` +
+                         `Custom values: \`/settings min [sol]\`\n\n` +
+                         `💡 **Select your minimum trade size:**`;
                 
                 keyboard = {
                     inline_keyboard: [
                         [
-                            { text: '🟢 Low', callback_data: 'latency_low' },
-                            { text: '🟡 Standard', callback_data: 'latency_standard' },
-                            { text: '🔴 High', callback_data: 'latency_high' }
+                            { text: 'Any', callback_data: 'min_0' },
+                            { text: '0.1 SOL', callback_data: 'min_0.1' },
+                            { text: '0.5 SOL', callback_data: 'min_0.5' }
+                        ],
+                        [
+                            { text: '1 SOL', callback_data: 'min_1' },
+                            { text: '5 SOL', callback_data: 'min_5' },
+                            { text: '10 SOL', callback_data: 'min_10' }
                         ]
                     ]
                 };
                 break;
                 
-            case 'precision':
-                message = `🎯 **Precision Filter Configuration**\n\n` +
-                         `🔧 **Current Setting:** \`${userConfig.precisionFilter}\`\n\n` +
+            case 'direction':
+                message = `🔀 **Trade Directions**\n\n` +
+                         `🔧 **Current Setting:** \`${this.formatDirections(userConfig)}\`\n\n` +
+                         `💡 **Select which trades you want to be notified about:**`;
+                
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '🟢🔴 Both', callback_data: 'direction_both' },
+                            { text: '🟢 Buys only', callback_data: 'direction_buy' },
+                            { text: '🔴 Sells only', callback_data: 'direction_sell' }
+                        ]
+                    ]
+                };
+                break;
+                
+            case 'commitment':
+                message = `⛓️ **Commitment Level**\n\n` +
+                         `🔧 **Current Setting:** \`${userConfig.commitment}\`\n\n` +
                          `📋 **Available Options:**\n\n` +
-                         `🟢 **Low** - Fast processing, higher false positives (90% filter)\n` +
-                         `   • Processing load: Minimal\n` +
-                         `   • Suitable for: High-volume monitoring\n\n` +
-                         `🟡 **Medium** - Balanced accuracy (95% filter)\n` +
-                         `   • Processing load: Balanced\n` +
-                         `   • Suitable for: Standard tracking\n\n` +
-                         `🟠 **High** - Enhanced accuracy (98% filter)\n` +
-                         `   • Processing load: Intensive\n` +
-                         `   • Suitable for: Precision monitoring\n\n` +
-                         `🔴 **Ultra** - Maximum accuracy (99.5% filter)\n` +
-                         `   • Processing load: Maximum\n` +
-                         `   • Suitable for: Critical analysis\n\n` +
-                         `💡 **Select your desired precision level:**`;
+                         `⚡ **Processed** - Fastest, transaction may still be dropped\n` +
+                         `🟡 **Confirmed** - Fast, confirmed by a supermajority\n` +
+                         `🟢 **Finalized** - Slowest, cannot be rolled back\n\n` +
+                         `ℹ️ Faster alerts are edited to ✅ finalized or ❌ dropped once the outcome is known\n\n` +
+                         `💡 **Select your commitment level:**`;
                 
                 keyboard = {
                     inline_keyboard: [
                         [
-                            { text: '🟢 Low', callback_data: 'precision_low' },
-                            { text: '🟡 Medium', callback_data: 'precision_medium' }
-                        ],
+                            { text: '⚡ Processed', callback_data: 'commitment_processed' },
+                            { text: '🟡 Confirmed', callback_data: 'commitment_confirmed' },
+                            { text: '🟢 Finalized', callback_data: 'commitment_finalized' }
+                        ]
+                    ]
+                };
+                break;
+                
+            case 'quiet':
+                message = `🔕 **Quiet Hours**\n\n` +
+                         `🔧 **Current Setting:** \`${this.formatQuietHours(userConfig.quietHours)}\`\n\n` +
+                         `During quiet hours notifications are still delivered, but without sound.\n` +
+                         `Custom range (UTC): \`/settings quiet [start-end]\`\n\n` +
+                         `💡 **Select your quiet hours:**`;
+                
+                keyboard = {
+                    inline_keyboard: [
                         [
-                            { text: '🟠 High', callback_data: 'precision_high' },
-                            { text: '🔴 Ultra', callback_data: 'precision_ultra' }
+                            { text: '🔔 Off', callback_data: 'quiet_off' },
+                            { text: '22:00-07:00', callback_data: 'quiet_22-7' },
+                            { text: '00:00-08:00', callback_data: 'quiet_0-8' }
                         ]
                     ]
                 };
                 break;
                 
-            case 'analytics':
-                message = `📊 **Analytics Depth Configuration**\n\n` +
-                         `🔧 **Current Setting:** \`${userConfig.analyticsDepth}\`\n\n` +
-                         `📋 **Available Options:**\n\n` +
-                         `🟢 **Basic** - Essential metrics (5-10 data points)\n` +
-                         `   • Historical depth: 1 hour\n` +
-                         `   • Indicators: Price, Volume\n` +
-                         `   • Performance impact: Minimal\n\n` +
-                         `🟡 **Standard** - Enhanced analysis (15-25 data points)\n` +
-                         `   • Historical depth: 24 hours\n` +
-                         `   • Indicators: OHLC, Volume, Momentum\n` +
-                         `   • Performance impact: Low\n\n` +
-                         `🟠 **Advanced** - Comprehensive suite (30-50 data points)\n` +
-                         `   • Historical depth: 7 days\n` +
-                         `   • Indicators: Full technical suite\n` +
-                         `   • Performance impact: Moderate\n\n` +
-                         `🔴 **Pro** - Complete analysis (75+ data points)\n` +
-                         `   • Historical depth: 30 days\n` +
-                         `   • Indicators: Complete analysis\n` +
-                         `   • Performance impact: High\n\n` +
-                         `💡 **Select your desired analytics level:**`;
+            case 'timeout':
+                message = `⏰ **Inactivity Timeout Configuration**\n\n` +
+                         `🔧 **Current Setting:** \`${this.formatDuration(this.getUserInactivityTimeout(chatId))}\`\n\n` +
+                         `When you don't interact with the bot for this long, your wallet tracking is paused. ` +
+                         `Send any command to resume it.\n\n` +
+                         `Paused wallets are removed after \`${this.formatDuration(this.INACTIVITY_EXPIRY)}\`.\n\n` +
+                         `💡 **Select your inactivity timeout:**`;
                 
                 keyboard = {
                     inline_keyboard: [
                         [
-                            { text: '🟢 Basic', callback_data: 'analytics_basic' },
-                            { text: '🟡 Standard', callback_data: 'analytics_standard' }
+                            { text: '15 min', callback_data: 'timeout_15' },
+                            { text: '1 hour', callback_data: 'timeout_60' },
+                            { text: '6 hours', callback_data: 'timeout_360' }
                         ],
                         [
-                            { text: '🟠 Advanced', callback_data: 'analytics_advanced' },
-                            { text: '🔴 Pro', callback_data: 'analytics_pro' }
+                            { text: `Default (${this.formatDuration(this.INACTIVITY_LIMIT)})`, callback_data: 'timeout_default' },
+                            { text: '♾️ Never', callback_data: 'timeout_never' }
                         ]
                     ]
                 };
                 break;
                 
-            case 'risk':
-                message = `⚠️ **Risk Calibration Configuration**\n\n` +
-                         `🔧 **Current Setting:** \`${userConfig.riskCalibration}\`\n\n` +
-                         `📋 **Available Options:**\n\n` +
-                         `🟢 **Conservative** - High safety, low false alarms\n` +
-                         `   • Alert threshold: High\n` +
-                         `   • False alarm rate: <2%\n` +
-                         `   • Signal confidence: >85%\n` +
-                         `   • Suitable for: Long-term tracking\n\n` +
-                         `🟡 **Moderate** - Balanced approach\n` +
-                         `   • Alert threshold: Medium\n` +
-                         `   • False alarm rate: 2-5%\n` +
-                         `   • Signal confidence: >75%\n` +
-                         `   • Suitable for: Balanced monitoring\n\n` +
-                         `🔴 **Aggressive** - High sensitivity, more alerts\n` +
-                         `   • Alert threshold: Low\n` +
-                         `   • False alarm rate: 5-10%\n` +
-                         `   • Signal confidence: >65%\n` +
-                         `   • Suitable for: Active trading\n\n` +
-                         `💡 **Select your desired risk level:**`;
+            case 'events': {
+                const enabled = userConfig.eventCategories;
+                message = `📡 **Event Types**\n\n` +
+                         `🔧 **Current Setting:** \`${this.formatEventCategories(userConfig)}\`\n\n` +
+                         `Tap a type to turn it on or off.\n` +
+                         `Custom list: \`/settings events swap,transfer,nft\`\n\n` +
+                         `💡 **Select the events you want to receive:**`;
+                
+                const buttons = Object.entries(EVENT_CATEGORIES).map(([category, info]) => ({
+                    text: `${enabled.includes(category) ? '✅' : '⬜'} ${info.emoji} ${info.label}`,
+                    callback_data: `events_${category}`
+                }));
                 
                 keyboard = {
                     inline_keyboard: [
+                        buttons.slice(0, 2),
+                        buttons.slice(2, 4),
+                        buttons.slice(4, 6),
+                        [{ text: '📡 All events', callback_data: 'events_all' }]
+                    ]
+                };
+                break;
+            }
+                
+            case 'backfill':
+                message = `📜 **Recent Activity Digest**\n\n` +
+                         `🔧 **Current Setting:** \`${this.formatBackfillLimit(this.getUserBackfillLimit(chatId))}\`\n\n` +
+                         `When you track a wallet, its latest transactions are fetched and summarized ` +
+                         `so you can judge whether it is worth following.\n` +
+                         `Custom values: \`/settings backfill [count]\`\n\n` +
+                         `💡 **Select how many transactions to summarize:**`;
+                
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '5', callback_data: 'backfill_5' },
+                            { text: '10', callback_data: 'backfill_10' },
+                            { text: '25', callback_data: 'backfill_25' }
+                        ],
                         [
-                            { text: '🟢 Conservative', callback_data: 'risk_conservative' },
-                            { text: '🟡 Moderate', callback_data: 'risk_moderate' },
-                            { text: '🔴 Aggressive', callback_data: 'risk_aggressive' }
+                            { text: `Default (${this.formatBackfillLimit(this.websocket.backfillLimit)})`, callback_data: 'backfill_default' },
+                            { text: '🚫 Off', callback_data: 'backfill_0' }
                         ]
                     ]
                 };
@@ -1268,53 +2042,43 @@ AI signals are provided for informational purposes only. Past performance does n
         });
     }
     
-    // Handle Settings Button
+    // Handle Settings Button (also used by /settings)
     handleSettingsButton(chatId) {
-        // Initialize user settings if not exists
-        if (!this.userSettings.has(chatId)) {
-            this.userSettings.set(chatId, { ...this.defaultSettings });
-        }
-        
-        const userConfig = this.userSettings.get(chatId);
-        
         const settingsMessage = `
-⚙️ **Advanced Technical Configuration**
+⚙️ **Notification Settings**
 
-🔧 **Current System Settings:**
+🔧 **Current Settings:**
 
-• **Latency Optimization:** \`${userConfig.latencyOptimization}\`
-• **Precision Filter:** \`${userConfig.precisionFilter}\`
-• **WebSocket Buffer:** \`${userConfig.websocketBuffer}\`
-• **Analytics Depth:** \`${userConfig.analyticsDepth}\`
-• **Risk Calibration:** \`${userConfig.riskCalibration}\`
-• **Signal Sensitivity:** \`${userConfig.signalSensitivity}\`
-• **Noise Reduction:** \`${userConfig.noiseReduction}\`
-• **Algorithm Version:** \`${userConfig.algorithmVersion}\`
+${this.formatSettingsSummary(chatId)}
 
 📋 **Configuration Options:**
-\`/settings latency [low|standard|high]\` - Network optimization
-\`/settings precision [low|medium|high|ultra]\` - Data filtering
-\`/settings buffer [4KB|8KB|16KB|32KB]\` - Memory allocation
-\`/settings analytics [basic|standard|advanced|pro]\` - Processing depth
-\`/settings risk [conservative|moderate|aggressive]\` - Risk parameters
-\`/settings sensitivity [low|balanced|high|extreme]\` - Signal detection
-\`/settings noise [enabled|disabled]\` - Filter interference
+\`/settings min [sol]\` - Minimum trade size
+\`/settings direction [both|buy|sell]\` - Trade directions
+\`/settings commitment [processed|confirmed|finalized]\` - Alert speed vs. finality
+\`/settings quiet [start-end|off]\` - Silent notifications (UTC hours)
+\`/settings timeout [minutes|default|never]\` - Pause tracking when inactive
+\`/settings events [all|swap,transfer,...]\` - Event types to receive
+\`/settings backfill [count|default|off]\` - Recent activity digest on /track
 \`/settings reset\` - Restore default configuration
         `;
         
         const keyboard = {
             inline_keyboard: [
                 [
-                    { text: '⚡ Latency', callback_data: 'settings_latency' },
-                    { text: '🎯 Precision', callback_data: 'settings_precision' }
+                    { text: '💰 Min SOL', callback_data: 'settings_min' },
+                    { text: '🔀 Directions', callback_data: 'settings_direction' }
                 ],
                 [
-                    { text: '📊 Analytics', callback_data: 'settings_analytics' },
-                    { text: '⚠️ Risk', callback_data: 'settings_risk' }
+                    { text: '⛓️ Commitment', callback_data: 'settings_commitment' },
+                    { text: '🔕 Quiet Hours', callback_data: 'settings_quiet' }
                 ],
                 [
-                    { text: '🔄 Reset All', callback_data: 'settings_reset' },
-                    { text: '💾 Save Config', callback_data: 'settings_save' }
+                    { text: '⏰ Timeout', callback_data: 'settings_timeout' },
+                    { text: '📡 Event Types', callback_data: 'settings_events' }
+                ],
+                [
+                    { text: '📜 Backfill', callback_data: 'settings_backfill' },
+                    { text: '🔄 Reset All', callback_data: 'settings_reset' }
                 ]
             ]
         };
@@ -1325,6 +2089,309 @@ AI signals are provided for informational purposes only. Past performance does n
         });
     }
     
+    // ========== USER SETTINGS HELPERS ==========
+    
+    getUserSettings(chatId) {
+        // Initialize user settings if not exists
+        if (!this.userSettings.has(chatId)) {
+            this.userSettings.set(chatId, { ...this.defaultSettings });
+        }
+        return this.userSettings.get(chatId);
+    }
+    
+    formatDirections(settings) {
+        if (settings.notifyBuys && settings.notifySells) return 'buys & sells';
+        if (settings.notifyBuys) return 'buys only';
+        if (settings.notifySells) return 'sells only';
+        return 'none';
+    }
+    
+    formatEventCategories(settings) {
+        if (settings.eventCategories.length === Object.keys(EVENT_CATEGORIES).length) return 'all events';
+        return settings.eventCategories.map(category => EVENT_CATEGORIES[category].label.toLowerCase()).join(', ');
+    }
+    
+    // Activar/desactivar una categoría de eventos desde el teclado de /settings
+    handleEventCategoryToggle(chatId, category) {
+        const userConfig = this.getUserSettings(chatId);
+        const enabled = userConfig.eventCategories;
+        
+        if (enabled.includes(category) && enabled.length === 1) {
+            this.sendAndTrackMessage(chatId, '⚠️ At least one event type must stay enabled.');
+            return;
+        }
+        
+        // Asignar un array nuevo: el de defaultSettings es compartido
+        userConfig.eventCategories = enabled.includes(category)
+            ? enabled.filter(enabledCategory => enabledCategory !== category)
+            : [...enabled, category];
+        this.persistState();
+        
+        this.handleSettingsOption(chatId, 'events');
+    }
+    
+    formatQuietHours(quietHours) {
+        if (!quietHours) return 'off';
+        const pad = (hour) => String(hour).padStart(2, '0');
+        return `${pad(quietHours.start)}:00-${pad(quietHours.end)}:00 UTC`;
+    }
+    
+    formatSettingsSummary(chatId) {
+        const userConfig = this.getUserSettings(chatId);
+        return `• **Minimum Trade:** \`${userConfig.minSolAmount > 0 ? userConfig.minSolAmount + ' SOL' : 'any size'}\`\n` +
+               `• **Directions:** \`${this.formatDirections(userConfig)}\`\n` +
+               `• **Commitment:** \`${userConfig.commitment}\`\n` +
+               `• **Quiet Hours:** \`${this.formatQuietHours(userConfig.quietHours)}\`\n` +
+               `• **Event Types:** \`${this.formatEventCategories(userConfig)}\`\n` +
+               `• **Inactivity Timeout:** \`${this.formatDuration(this.getUserInactivityTimeout(chatId))}\`\n` +
+               `• **Backfill on Track:** \`${this.formatBackfillLimit(this.getUserBackfillLimit(chatId))}\``;
+    }
+    
+    // ========== USER FILTER HELPERS ==========
+    
+    getUserFilters(chatId) {
+        if (!this.userFilters.has(chatId)) {
+            this.userFilters.set(chatId, createDefaultFilters());
+        }
+        return this.userFilters.get(chatId);
+    }
+    
+    formatFilterList(list) {
+        return list.length > 0 ? list.map(entry => `\`${entry}\``).join(', ') : '`none`';
+    }
+    
+    formatFiltersSummary(chatId) {
+        const filters = this.getUserFilters(chatId);
+        const minSolAmount = this.getUserSettings(chatId).minSolAmount;
+        
+        return `🧹 **Token Filters**\n\n` +
+               `• **Min SOL:** \`${minSolAmount > 0 ? minSolAmount + ' SOL' : 'any size'}\`\n` +
+               `• **Max SOL:** \`${filters.maxSolAmount !== null ? filters.maxSolAmount + ' SOL' : 'no limit'}\`\n` +
+               `• **Muted mints:** ${this.formatFilterList(filters.mutedMints)}\n` +
+               `• **Muted symbols:** ${this.formatFilterList(filters.mutedSymbols)}\n` +
+               `• **Allowlisted mints:** ${filters.allowedMints.length > 0 ? this.formatFilterList(filters.allowedMints) : '`all tokens`'}\n` +
+               `• **Venues:** ${filters.venues.length > 0 ? this.formatFilterList(filters.venues.map(venue => VENUES[venue].name)) : '`all venues`'}\n\n` +
+               `📋 **Commands:**\n` +
+               `\`/filter min [sol|off]\` - Minimum trade size\n` +
+               `\`/filter max [sol|off]\` - Maximum trade size\n` +
+               `\`/filter venue [${Object.keys(VENUES).join(',')}|off]\` - Only swaps on these venues\n` +
+               `\`/mute [mint|symbol]\` / \`/unmute [mint|symbol]\` - Mute a token\n` +
+               `\`/allow [mint]\` / \`/disallow [mint]\` - Only notify allowlisted mints\n` +
+               `\`/filter reset\` - Remove all filters`;
+    }
+    
+    // Handle /filter min|max|venue|reset
+    handleFilterConfig(chatId, rule, value) {
+        const filters = this.getUserFilters(chatId);
+        let responseMessage = '';
+        let isValidConfig = false;
+        
+        switch (rule) {
+            case 'min':
+                // El mínimo es el mismo valor que /settings min
+                if (value === 'off') {
+                    value = '0';
+                }
+                this.handleSettingsConfig(chatId, 'min', value);
+                return;
+                
+            case 'max':
+                if (value === 'off') {
+                    filters.maxSolAmount = null;
+                    isValidConfig = true;
+                    responseMessage = '📈 **Maximum Trade Size Removed**\n\nTrades of any size above your minimum will be notified.';
+                } else if (/^\d+(\.\d+)?$/.test(value) && parseFloat(value) > 0) {
+                    filters.maxSolAmount = parseFloat(value);
+                    isValidConfig = true;
+                    responseMessage = `📈 **Maximum Trade Size Updated**\n\nTrades above \`${filters.maxSolAmount} SOL\` will not be notified.`;
+                } else {
+                    responseMessage = '❌ **Invalid Maximum Amount**\n\nUse a SOL amount, e.g. `/filter max 50`, or `off`';
+                }
+                break;
+                
+            case 'venue':
+            case 'venues': {
+                if (value === 'off' || value === 'all') {
+                    filters.venues = [];
+                    isValidConfig = true;
+                    responseMessage = '🏦 **Venue Filter Removed**\n\nSwaps on any venue will be notified.';
+                    break;
+                }
+                
+                const venues = value.split(',').filter(Boolean).map(normalizeVenue);
+                if (venues.length === 0 || venues.includes(null)) {
+                    responseMessage = `❌ **Invalid Venue**\n\nUse one or more of \`${Object.keys(VENUES).join(',')}\`, e.g. \`/filter venue raydium,pumpfun\`, or \`off\``;
+                    break;
+                }
+                filters.venues = Array.from(new Set(venues));
+                isValidConfig = true;
+                responseMessage = `🏦 **Venue Filter Updated**\n\nOnly swaps on ${filters.venues.map(venue => VENUES[venue].name).join(', ')} will be notified.`;
+                break;
+            }
+                
+            case 'reset':
+                this.userFilters.set(chatId, createDefaultFilters());
+                isValidConfig = true;
+                responseMessage = '🔄 **Filters Reset**\n\nMax size, muted tokens, allowlist and venues have been cleared.';
+                break;
+                
+            default:
+                this.sendAndTrackMessage(chatId, this.formatFiltersSummary(chatId), { parse_mode: 'Markdown' });
+                return;
+        }
+        
+        if (isValidConfig) {
+            this.persistState();
+        }
+        
+        this.sendAndTrackMessage(chatId, responseMessage, { parse_mode: 'Markdown' });
+    }
+    
+    // Handle /mute and /unmute (mint address or token symbol)
+    handleMuteCommand(chatId, mute, target) {
+        if (!target) {
+            this.sendAndTrackMessage(chatId,
+                `🔇 **Mute a Token**\n\n` +
+                `📝 Use a mint address or a token symbol:\n` +
+                `\`/mute BONK\`\n` +
+                `\`/mute DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263\`\n\n` +
+                `Use \`/unmute\` with the same value to undo it.`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        const filters = this.getUserFilters(chatId);
+        const isMint = this.websocket.validateWalletAddress(target);
+        const list = isMint ? filters.mutedMints : filters.mutedSymbols;
+        const value = isMint ? target : normalizeSymbol(target);
+        
+        if (!isMint && (value.length === 0 || value.length > 20)) {
+            this.sendAndTrackMessage(chatId, '❌ Invalid token symbol.');
+            return;
+        }
+        
+        const changed = mute ? addFilterEntry(list, value) : removeFilterEntry(list, value);
+        
+        if (!changed) {
+            const reason = mute
+                ? (list.includes(value) ? 'is already muted' : `could not be muted (limit of ${MAX_FILTER_ENTRIES} reached)`)
+                : 'is not muted';
+            this.sendAndTrackMessage(chatId, `⚠️ \`${value}\` ${reason}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        this.persistState();
+        this.sendAndTrackMessage(chatId,
+            mute
+                ? `🔇 **Token Muted**\n\nYou will no longer be notified about \`${value}\`.`
+                : `🔊 **Token Unmuted**\n\nNotifications for \`${value}\` are enabled again.`,
+            { parse_mode: 'Markdown' }
+        );
+        console.log(`🔇 User ${chatId} ${mute ? 'muted' : 'unmuted'} ${value}`);
+    }
+    
+    // Handle /allow and /disallow (mint allowlist)
+    handleAllowCommand(chatId, allow, mintAddress) {
+        if (!mintAddress || !this.websocket.validateWalletAddress(mintAddress)) {
+            this.sendAndTrackMessage(chatId,
+                `✅ **Mint Allowlist**\n\n` +
+                `📝 Use a token mint address:\n` +
+                `\`/allow DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263\`\n\n` +
+                `While the allowlist has entries, only those tokens are notified.\n` +
+                `Use \`/disallow [mint]\` to remove one.`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        const filters = this.getUserFilters(chatId);
+        const changed = allow
+            ? addFilterEntry(filters.allowedMints, mintAddress)
+            : removeFilterEntry(filters.allowedMints, mintAddress);
+        
+        if (!changed) {
+            const reason = allow
+                ? (filters.allowedMints.includes(mintAddress) ? 'is already allowlisted' : `could not be added (limit of ${MAX_FILTER_ENTRIES} reached)`)
+                : 'is not in your allowlist';
+            this.sendAndTrackMessage(chatId, `⚠️ \`${mintAddress}\` ${reason}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        this.persistState();
+        
+        const allowlistStatus = filters.allowedMints.length > 0
+            ? `Only ${filters.allowedMints.length} allowlisted token(s) will be notified.`
+            : 'Allowlist is empty - all tokens will be notified.';
+        this.sendAndTrackMessage(chatId,
+            `${allow ? '✅ **Mint Allowlisted**' : '🗑️ **Mint Removed from Allowlist**'}\n\n\`${mintAddress}\`\n\n${allowlistStatus}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // ¿La hora actual (UTC) cae dentro de las quiet hours del usuario?
+    isQuietHours(quietHours, date = new Date()) {
+        if (!quietHours) return false;
+        const hour = date.getUTCHours();
+        return quietHours.start < quietHours.end
+            ? hour >= quietHours.start && hour < quietHours.end
+            : hour >= quietHours.start || hour < quietHours.end;
+    }
+    
+    // Decidir si (y cómo) notificar una transacción a un usuario según sus settings
+    getNotificationDecision(chatId, transactionData) {
+        const userConfig = this.getUserSettings(chatId);
+        
+        // Quien pidió 'finalized' recibe la alerta cuando llega la finalidad (handleTransactionFinality)
+        if (this.isEarlyAlert(transactionData) && userConfig.commitment === 'finalized') {
+            return { notify: false, reason: 'awaiting finality' };
+        }
+        
+        const category = getEventCategory(transactionData.eventType || 'SWAP');
+        if (category && !userConfig.eventCategories.includes(category)) {
+            return { notify: false, reason: `${category} events disabled` };
+        }
+        if (transactionData.buySell === 'BUY' && !userConfig.notifyBuys) {
+            return { notify: false, reason: 'buys disabled' };
+        }
+        if (transactionData.buySell === 'SELL' && !userConfig.notifySells) {
+            return { notify: false, reason: 'sells disabled' };
+        }
+        if (typeof transactionData.solAmount === 'number' && transactionData.solAmount < userConfig.minSolAmount) {
+            return { notify: false, reason: `below ${userConfig.minSolAmount} SOL` };
+        }
+        
+        const filterResult = evaluateFilters(this.getUserFilters(chatId), transactionData);
+        if (!filterResult.pass) {
+            return { notify: false, reason: filterResult.reason };
+        }
+        
+        return { notify: true, silent: this.isQuietHours(userConfig.quietHours) };
+    }
+    
+    // Commitment efectivo de una wallet: el más rápido pedido por sus usuarios activos
+    syncWalletCommitment(walletAddress) {
+        const levels = HeliusWebSocketBackend.COMMITMENT_LEVELS;
+        let fastestIndex = null;
+        
+        this.userWallets.forEach((walletSet, chatId) => {
+            if (!this.pausedUsers.has(chatId) && walletSet.has(walletAddress)) {
+                const index = levels.indexOf(this.getUserSettings(chatId).commitment);
+                if (index !== -1 && (fastestIndex === null || index < fastestIndex)) {
+                    fastestIndex = index;
+                }
+            }
+        });
+        
+        if (fastestIndex !== null) {
+            this.websocket.setWalletCommitment(walletAddress, levels[fastestIndex]);
+        }
+    }
+    
+    syncUserWalletCommitments(chatId) {
+        (this.userWallets.get(chatId) || new Set()).forEach(wallet => this.syncWalletCommitment(wallet));
+    }
+    
     // Handle Signals Button
     handleSignalsButton(chatId) {
         // Initialize user signals if not exists
@@ -1403,6 +2470,7 @@ AI signals are provided for informational purposes only. Past performance does n
         const signalsConfig = this.userSignals.get(chatId);
         signalsConfig.enabled = !signalsConfig.enabled;
         signalsConfig.lastActivation = signalsConfig.enabled ? Date.now() : null;
+        this.persistState();
         
         const statusIcon = signalsConfig.enabled ? '🟢' : '🔴';
         const statusText = signalsConfig.enabled ? 'ENABLED' : 'DISABLED';
@@ -1424,6 +2492,7 @@ AI signals are provided for informational purposes only. Past performance does n
         
         const signalsConfig = this.userSignals.get(chatId);
         signalsConfig.categories[category] = !signalsConfig.categories[category];
+        this.persistState();
         
         const isEnabled = signalsConfig.categories[category];
         const statusIcon = isEnabled ? '🟢' : '🔴';
@@ -1539,6 +2608,9 @@ AI signals are provided for informational purposes only. Past performance does n
                 this.cleanupOldMessageIds();
             }
             
+            // Message IDs change on every send, so batch their writes
+            this.schedulePersist();
+            
             return sentMessage;
         } catch (error) {
             console.error('❌ Error sending and tracking message:', error);
@@ -1574,6 +2646,7 @@ AI signals are provided for informational purposes only. Past performance does n
 
             // Limpiar la lista de IDs
             this.botMessageIds.set(chatId, []);
+            this.persistState();
 
             // Send confirmation message
             const confirmMessage = `🗑️ **Messages cleared:**\n\n✅ Deleted: ${deletedCount}\n${failedCount > 0 ? `⚠️ Could not delete: ${failedCount}` : ''}\n\n💡 Very old messages cannot be deleted.`;
@@ -1587,6 +2660,120 @@ AI signals are provided for informational purposes only. Past performance does n
         }
     }
 
+    // Restaurar el estado persistido (wallets, settings, signals, message IDs)
+    loadPersistedState() {
+        const state = this.storage.read('users');
+        
+        if (!state) {
+            console.log('💾 No persisted state found - starting fresh');
+            return;
+        }
+        
+        Object.entries(state.userWallets || {}).forEach(([chatId, wallets]) => {
+            if (Array.isArray(wallets) && wallets.length > 0) {
+                this.userWallets.set(Number(chatId), new Set(wallets));
+            }
+        });
+        
+        Object.entries(state.walletLabels || {}).forEach(([chatId, labels]) => {
+            this.walletLabels.set(Number(chatId), new Map(Object.entries(labels)));
+        });
+        
+        Object.entries(state.userSettings || {}).forEach(([chatId, settings]) => {
+            // Solo conservar claves conocidas (descarta settings antiguos ya retirados)
+            const knownSettings = Object.keys(this.defaultSettings)
+                .filter(key => settings[key] !== undefined)
+                .reduce((result, key) => ({ ...result, [key]: settings[key] }), {});
+            this.userSettings.set(Number(chatId), { ...this.defaultSettings, ...knownSettings });
+        });
+        
+        Object.entries(state.userFilters || {}).forEach(([chatId, filters]) => {
+            this.userFilters.set(Number(chatId), normalizeFilters(filters));
+        });
+        
+        Object.entries(state.userSignals || {}).forEach(([chatId, signals]) => {
+            this.userSignals.set(Number(chatId), {
+                ...this.defaultSignalConfig,
+                ...signals,
+                categories: { ...this.defaultSignalConfig.categories, ...signals.categories }
+            });
+        });
+        
+        Object.entries(state.botMessageIds || {}).forEach(([chatId, messageIds]) => {
+            this.botMessageIds.set(Number(chatId), messageIds.slice(-this.MAX_MESSAGES_PER_USER));
+        });
+        
+        Object.entries(state.pausedUsers || {}).forEach(([chatId, pausedAt]) => {
+            this.pausedUsers.set(Number(chatId), pausedAt);
+        });
+        
+        // Usuarios sin actividad registrada reciben un periodo de gracia completo
+        const now = Date.now();
+        this.userWallets.forEach((walletSet, chatId) => {
+            this.userActivity.set(chatId, state.userActivity?.[chatId] || now);
+        });
+        
+        // Re-suscribir el WebSocket solo a las wallets de usuarios activos
+        const allWallets = new Set();
+        this.userWallets.forEach((walletSet, chatId) => {
+            if (!this.pausedUsers.has(chatId)) {
+                walletSet.forEach(wallet => allWallets.add(wallet));
+            }
+        });
+        allWallets.forEach(wallet => this.syncWalletCommitment(wallet));
+        this.websocket.restoreWallets(Array.from(allWallets));
+        
+        console.log(`💾 Restored state: ${this.userWallets.size} user(s), ${allWallets.size} wallet(s) (${this.storage.type} storage)`);
+    }
+    
+    // Guardar el estado actual de forma inmediata (write-through)
+    persistState() {
+        if (this.persistTimeout) {
+            clearTimeout(this.persistTimeout);
+            this.persistTimeout = null;
+        }
+        
+        const state = {
+            userWallets: {},
+            walletLabels: {},
+            userSettings: {},
+            userFilters: Object.fromEntries(this.userFilters),
+            userSignals: {},
+            botMessageIds: {},
+            userActivity: Object.fromEntries(this.userActivity),
+            pausedUsers: Object.fromEntries(this.pausedUsers),
+            savedAt: new Date().toISOString()
+        };
+        
+        this.userWallets.forEach((walletSet, chatId) => {
+            state.userWallets[chatId] = Array.from(walletSet);
+        });
+        this.walletLabels.forEach((labels, chatId) => {
+            state.walletLabels[chatId] = Object.fromEntries(labels);
+        });
+        this.userSettings.forEach((settings, chatId) => {
+            state.userSettings[chatId] = settings;
+        });
+        this.userSignals.forEach((signals, chatId) => {
+            state.userSignals[chatId] = signals;
+        });
+        this.botMessageIds.forEach((messageIds, chatId) => {
+            state.botMessageIds[chatId] = messageIds;
+        });
+        
+        this.storage.write('users', state);
+    }
+    
+    // Agrupar escrituras frecuentes (p.ej. message IDs) en una sola
+    schedulePersist(delay = 5000) {
+        if (this.persistTimeout) return;
+        
+        this.persistTimeout = setTimeout(() => {
+            this.persistTimeout = null;
+            this.persistState();
+        }, delay);
+    }
+
     // Manejo de errores
     handleError(error) {
         console.error('🚨 Bot error:', error);
@@ -1606,31 +2793,184 @@ AI signals are provided for informational purposes only. Past performance does n
         this.bot.on('polling_error', (error) => {
             console.error('🚨 Polling error:', error.message);
         });
+        
+        // Polling starts only after persisted wallets were handed to the WebSocket
+        this.bot.startPolling();
+        
+        // Volcar escrituras pendientes (debounced) al salir; el storage escribe de forma síncrona
+        process.on('exit', () => {
+            this.persistState();
+            this.positionLedger.save();
+            this.transactionHistory.save();
+            this.deadLetters.save();
+        });
 
         console.log('✅ Bot is now running and listening for messages!');
         console.log('💬 Try sending /start to the bot in Telegram');
     }
     
-    // Sistema de monitoreo de inactividad
+    // Sistema de monitoreo de inactividad (por usuario)
     startInactivityMonitor() {
-        // Revisar cada 5 segundos si hay inactividad
+        // Revisar cada 5 segundos el estado de cada usuario
         setInterval(() => {
-            const timeSinceLastActivity = Date.now() - this.lastUserActivity;
-            const timeRemaining = Math.max(0, this.INACTIVITY_LIMIT - timeSinceLastActivity);
-            
-            if (timeRemaining === 0 && this.getTotalTrackedWallets() > 0) {
-                this.handleInactivityCleanup();
-            } else if (this.getTotalTrackedWallets() > 0 && timeRemaining > 0) {
-                // Log silencioso del tiempo restante (solo para debug)
-                // console.log(`⏱️ Time until auto-cleanup: ${Math.ceil(timeRemaining / 1000)}s`);
-            }
+            const now = Date.now();
+            
+            this.userWallets.forEach((walletSet, chatId) => {
+                if (walletSet.size === 0) return;
+                
+                if (this.pausedUsers.has(chatId)) {
+                    // Wallets pausadas demasiado tiempo se eliminan definitivamente
+                    if (now - this.pausedUsers.get(chatId) >= this.INACTIVITY_EXPIRY) {
+                        this.expireUserWallets(chatId);
+                    }
+                    return;
+                }
+                
+                const timeout = this.getUserInactivityTimeout(chatId);
+                if (timeout === 0) return; // El usuario eligió rastrear indefinidamente
+                
+                const lastActivity = this.userActivity.get(chatId) || now;
+                if (now - lastActivity >= timeout) {
+                    this.pauseUserTracking(chatId);
+                }
+            });
         }, 5000);
     }
     
-    // Actualizar la última actividad del usuario
-    updateUserActivity() {
-        this.lastUserActivity = Date.now();
-        // console.log('👤 User activity detected, timer reset');
+    // Actualizar la última actividad del usuario (y reanudar si estaba pausado)
+    updateUserActivity(chatId) {
+        this.userActivity.set(chatId, Date.now());
+        
+        if (this.pausedUsers.has(chatId)) {
+            this.resumeUserTracking(chatId);
+        }
+        
+        this.schedulePersist();
+    }
+    
+    // Timeout efectivo del usuario en ms (0 = nunca pausar)
+    getUserInactivityTimeout(chatId) {
+        const timeout = this.userSettings.get(chatId)?.inactivityTimeout;
+        return timeout === null || timeout === undefined ? this.INACTIVITY_LIMIT : timeout;
+    }
+    
+    // Transacciones a resumir al rastrear una wallet (0 = desactivado)
+    getUserBackfillLimit(chatId) {
+        const limit = this.userSettings.get(chatId)?.backfillLimit;
+        return limit === null || limit === undefined ? this.websocket.backfillLimit : limit;
+    }
+    
+    formatBackfillLimit(limit) {
+        return limit > 0 ? `last ${limit} txs` : 'off';
+    }
+    
+    // Uptime, último mensaje recibido y reconexiones del WebSocket (para /status)
+    formatConnectionStatus(connection) {
+        const lastMessageAgo = connection.lastMessageAt
+            ? `${this.formatDuration(Math.max(1000, Date.now() - new Date(connection.lastMessageAt).getTime()))} ago`
+            : 'none yet';
+        
+        return `⏱️ Uptime: ${connection.connectedAt ? this.formatDuration(Math.max(1000, connection.uptimeMs)) : 'N/A'}\n` +
+               `📨 Last Message: ${lastMessageAgo}\n` +
+               `🔄 Reconnects: ${connection.reconnects}` +
+               (connection.degradedSince ? `\n⚠️ Degraded since: ${new Date(connection.degradedSince).toISOString().substring(11, 19)} UTC (attempt ${connection.reconnectAttempts})` : '');
+    }
+    
+    // Proveedor de datos y, si usa API keys (Helius), cuántas están sanas
+    formatProviderStatus(status) {
+        return `🛰️ Provider: ${status.providerEndpoint}` +
+               (status.apiKeys.length > 0 ? `\n🔑 API Keys: ${status.healthyApiKeys}/${status.apiKeys.length} healthy` : '');
+    }
+    
+    // Formatear duraciones para mensajes (ms -> "5 min", "1 h", "never")
+    formatDuration(ms) {
+        if (!ms) return 'never';
+        if (ms < 60000) return `${Math.round(ms / 1000)} s`;
+        if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+        return `${Math.round(ms / 3600000 * 10) / 10} h`;
+    }
+    
+    // ¿Algún usuario activo (distinto de exceptChatId) sigue necesitando esta wallet?
+    isWalletNeeded(walletAddress, exceptChatId = null) {
+        for (const [chatId, walletSet] of this.userWallets) {
+            if (chatId !== exceptChatId && !this.pausedUsers.has(chatId) && walletSet.has(walletAddress)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Pausar el tracking de un usuario inactivo (sus wallets se conservan)
+    pauseUserTracking(chatId) {
+        const walletSet = this.userWallets.get(chatId) || new Set();
+        this.pausedUsers.set(chatId, Date.now());
+        
+        // Solo soltar las suscripciones que ningún otro usuario activo necesita
+        walletSet.forEach(wallet => {
+            if (!this.isWalletNeeded(wallet, chatId)) {
+                this.websocket.removeWallet(wallet);
+            } else {
+                this.syncWalletCommitment(wallet);
+            }
+        });
+        
+        this.persistState();
+        
+        const timeout = this.getUserInactivityTimeout(chatId);
+        const message = `⏸️ **Tracking Paused**\n\n` +
+                       `Due to ${this.formatDuration(timeout)} of inactivity, tracking of your ${walletSet.size} wallet(s) has been paused to conserve resources.\n\n` +
+                       `Send any command (e.g. \`/status\`) to resume. Paused wallets are removed after ${this.formatDuration(this.INACTIVITY_EXPIRY)}.\n\n` +
+                       `💡 Use \`/settings timeout never\` to keep tracking indefinitely.`;
+        
+        this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' })
+            .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
+        
+        console.log(`⏸️ User ${chatId} paused after ${this.formatDuration(timeout)} of inactivity (${walletSet.size} wallet(s))`);
+    }
+    
+    // Reanudar el tracking cuando el usuario vuelve a interactuar
+    resumeUserTracking(chatId) {
+        const walletSet = this.userWallets.get(chatId) || new Set();
+        this.pausedUsers.delete(chatId);
+        
+        walletSet.forEach(wallet => {
+            this.syncWalletCommitment(wallet);
+            this.websocket.addWallet(wallet);
+        });
+        
+        this.persistState();
+        
+        this.bot.sendMessage(chatId, `▶️ **Tracking Resumed**\n\nYour ${walletSet.size} wallet(s) are being tracked again.`, { parse_mode: 'Markdown' })
+            .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
+        
+        console.log(`▶️ User ${chatId} resumed tracking (${walletSet.size} wallet(s))`);
+    }
+    
+    // Eliminar las wallets de un usuario que lleva demasiado tiempo pausado
+    expireUserWallets(chatId) {
+        const walletSet = this.userWallets.get(chatId) || new Set();
+        const walletCount = walletSet.size;
+        
+        // Las suscripciones ya se soltaron al pausar; asegurar por si otro usuario también expiró
+        walletSet.forEach(wallet => {
+            if (!this.isWalletNeeded(wallet, chatId) && this.websocket.trackedWallets.has(wallet)) {
+                this.websocket.removeWallet(wallet);
+            }
+        });
+        
+        this.userWallets.delete(chatId);
+        this.walletLabels.delete(chatId);
+        this.pausedUsers.delete(chatId);
+        this.persistState();
+        
+        const message = `⏰ **Auto-Cleanup Alert**\n\n` +
+                       `Your tracking was paused for ${this.formatDuration(this.INACTIVITY_EXPIRY)}, so your ${walletCount} wallet(s) have been removed from tracking.\n\n` +
+                       `Use \`/track\` to resume monitoring when needed.`;
+        
+        this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' })
+            .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
+        
+        console.log(`🗑️ User ${chatId} expired: ${walletCount} wallet(s) removed after ${this.formatDuration(this.INACTIVITY_EXPIRY)} paused`);
     }
     
     // Obtener el total de wallets trackeadas
@@ -1662,78 +3002,11 @@ AI signals are provided for informational purposes only. Past performance does n
     cleanupOldMessages() {
         return this.cleanupOldMessageIds();
     }
-    
-    // Manejar la limpieza por inactividad
-    handleInactivityCleanup() {
-        console.log('\n');
-        console.log('╔════════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                    ║');
-        console.log('║  ██╗███╗   ██╗ █████╗  ██████╗████████╗██╗██╗   ██╗██╗████████╗██╗   ██╗  ║');
-        console.log('║  ██║████╗  ██║██╔══██╗██╔════╝╚══██╔══╝██║██║   ██║██║╚══██╔══╝╚██╗ ██╔╝  ║');
-        console.log('║  ██║██╔██╗ ██║███████║██║        ██║   ██║██║   ██║██║   ██║    ╚████╔╝   ║');
-        console.log('║  ██║██║╚██╗██║██╔══██║██║        ██║   ██║╚██╗ ██╔╝██║   ██║     ╚██╔╝    ║');
-        console.log('║  ██║██║ ╚████║██║  ██║╚██████╗   ██║   ██║ ╚████╔╝ ██║   ██║      ██║     ║');
-        console.log('║  ╚═╝╚═╝  ╚═══╝╚═╝  ╚═╝ ╚═════╝   ╚═╝   ╚═╝  ╚═══╝  ╚═╝   ╚═╝      ╚═╝     ║');
-        console.log('║                                                                    ║');
-        console.log('║   ██████╗██╗     ███████╗ █████╗ ███╗   ██╗██╗   ██╗██████╗      ║');
-        console.log('║  ██╔════╝██║     ██╔════╝██╔══██╗████╗  ██║██║   ██║██╔══██╗     ║');
-        console.log('║  ██║     ██║     █████╗  ███████║██╔██╗ ██║██║   ██║██████╔╝     ║');
-        console.log('║  ██║     ██║     ██╔══╝  ██╔══██║██║╚██╗██║██║   ██║██╔═══╝      ║');
-        console.log('║  ╚██████╗███████╗███████╗██║  ██║██║ ╚████║╚██████╔╝██║          ║');
-        console.log('║   ╚═════╝╚══════╝╚══════╝╚═╝  ╚═╝╚═╝  ╚═══╝ ╚═════╝ ╚═╝          ║');
-        console.log('║                                                                    ║');
-        console.log('╚════════════════════════════════════════════════════════════════════╝');
-        console.log('\n');
-        console.log('🔴 AUTO-CLEANUP TRIGGERED - NO USER ACTIVITY DETECTED');
-        console.log(`⏰ Inactivity timeout: ${this.INACTIVITY_LIMIT / 1000} seconds`);
-        console.log('🗑️ Removing all tracked wallets to save API tokens...');
-        
-        // Contar wallets antes de limpiar
-        const totalWallets = this.getTotalTrackedWallets();
-        const userCount = this.userWallets.size;
-        
-        // Notificar a todos los usuarios activos
-        this.userWallets.forEach((walletSet, chatId) => {
-            if (walletSet.size > 0) {
-                const message = `⏰ **Auto-Cleanup Alert**\n\n` +
-                               `Due to ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity, all wallet tracking has been stopped to conserve resources.\n\n` +
-                               `Your ${walletSet.size} wallet(s) have been removed from tracking.\n\n` +
-                               `Use \`/track\` to resume monitoring when needed.`;
-                
-                this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' })
-                    .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
-            }
-        });
-        
-        // Limpiar todas las wallets del WebSocket
-        const allWallets = new Set();
-        this.userWallets.forEach(walletSet => {
-            walletSet.forEach(wallet => allWallets.add(wallet));
-        });
-        
-        allWallets.forEach(wallet => {
-            this.websocket.removeWallet(wallet);
-        });
-        
-        // Limpiar los mapas de usuarios
-        this.userWallets.clear();
-        
-        console.log('\n');
-        console.log('╔════════════════════════════════════════════════════════════════════╗');
-        console.log('║                    CLEANUP COMPLETE                               ║');
-        console.log('╠════════════════════════════════════════════════════════════════════╣');
-        console.log(`║  📊 Total Wallets Removed: ${String(totalWallets).padEnd(39)}║`);
-        console.log(`║  👥 Users Affected: ${String(userCount).padEnd(47)}║`);
-        console.log('║  💤 Bot Status: STANDBY MODE                                      ║');
-        console.log('║  🔌 WebSocket: DISCONNECTED                                       ║');
-        console.log('║  💰 API Tokens: PRESERVED                                         ║');
-        console.log('╚════════════════════════════════════════════════════════════════════╝');
-        console.log('\n');
-        console.log('💤 Bot entering standby mode - waiting for user commands...');
-        console.log('\n');
-    }
 }
 
 // Crear e iniciar el bot
 const bot = new VoltsTrackWalletBot();
 bot.start();
+
+// Instancia compartida con main.js (endpoint HTTP /status)
+module.exports = bot;
@@ -25,11 +25,34 @@ app.get('/', (req, res) => {
   res.json(status);
 });
 
+// Telegram bot instance (set once the bot has started)
+let telegramBot = null;
+
+// Backend health for /status: connection and per-key API health (keys are masked)
+const getBackendStatus = () => {
+  if (!telegramBot) return null;
+  const status = telegramBot.websocket.getStatus();
+  return {
+    connected: status.connected,
+    provider: status.provider,
+    trackedWallets: status.trackedWallets,
+    subscriptions: status.subscriptions,
+    connection: status.connection,
+    lastGapRecovery: status.lastGapRecovery,
+    pendingFinality: status.pendingFinality,
+    queueSizes: status.queueSizes,
+    healthyApiKeys: status.healthyApiKeys,
+    deadLetters: status.deadLetters,
+    apiKeys: status.apiKeys
+  };
+};
+
 // Status endpoint for monitoring
 app.get('/status', (req, res) => {
   const memUsage = process.memoryUsage();
   const status = {
     status: 'running',
+    backend: getBackendStatus(),
     memory: {
       rss: Math.round(memUsage.rss / 1024 / 1024) + ' MB',
       heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024) + ' MB',
@@ -42,6 +65,24 @@ app.get('/status', (req, res) => {
   res.json(status);
 });
 
+// Dead-lettered signatures (lookups that still failed after retries)
+app.get('/dead-letters', (req, res) => {
+  if (!telegramBot) return res.status(503).json({ error: 'Bot not started' });
+  res.json({ deadLetters: telegramBot.deadLetters.list(), timestamp: new Date().toISOString() });
+});
+
+// Retry dead-lettered signatures; recovered transactions are notified as delayed
+app.post('/dead-letters/reprocess', async (req, res) => {
+  if (!telegramBot) return res.status(503).json({ error: 'Bot not started' });
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const result = await telegramBot.websocket.reprocessDeadLetters(limit);
+    res.status(result.busy ? 409 : 200).json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check endpoint (alternative path)
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -84,7 +125,7 @@ function startTelegramBot() {
     console.log('🤖 Starting VoltsTrack Telegram Bot...');
     
     // Import and start the main bot
-    require('./bot.js');
+    telegramBot = require('./bot.js');
     
     // Start keep-alive after bot initialization
     keepAlive();
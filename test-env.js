@@ -10,22 +10,53 @@ require('dotenv').config();
 function testEnvironmentVariables() {
     console.log('🧪 Testing Environment Variable Configuration...\n');
 
+    // Las variables del proveedor de datos dependen de CHAIN_PROVIDER (el mock no necesita ninguna)
+    const chainProvider = (process.env.CHAIN_PROVIDER || 'helius').toLowerCase();
     const requiredVars = {
         'TELEGRAM_BOT_TOKEN': process.env.TELEGRAM_BOT_TOKEN,
-        'HELIUS_API_KEYS': process.env.HELIUS_API_KEYS
+        ...(chainProvider === 'rpc' ? { 'SOLANA_RPC_URL': process.env.SOLANA_RPC_URL } : {}),
+        ...(chainProvider !== 'rpc' && chainProvider !== 'mock' ? { 'HELIUS_API_KEYS': process.env.HELIUS_API_KEYS } : {})
     };
 
     const optionalVars = {
         'LOG_LEVEL': process.env.LOG_LEVEL || 'INFO',
         'INACTIVITY_LIMIT': process.env.INACTIVITY_LIMIT || '300000',
+        'INACTIVITY_EXPIRY': process.env.INACTIVITY_EXPIRY || '86400000',
         'MAX_WALLETS_PER_USER': process.env.MAX_WALLETS_PER_USER || '3',
+        'MIN_SOL_AMOUNT': process.env.MIN_SOL_AMOUNT || '0.001',
         'SOLANA_NETWORK': process.env.SOLANA_NETWORK || 'mainnet',
+        'CHAIN_PROVIDER': chainProvider,
+        'SOLANA_WS_URL': process.env.SOLANA_WS_URL || '(derived from SOLANA_RPC_URL)',
+        'SOLANA_RPC_DAS': process.env.SOLANA_RPC_DAS || 'false',
+        'MOCK_FIXTURES': process.env.MOCK_FIXTURES || './fixtures/mock-chain.json',
+        'TRANSACTION_PARSER': process.env.TRANSACTION_PARSER || 'enhanced',
         'API_ROTATION_INTERVAL': process.env.API_ROTATION_INTERVAL || '900000',
         'MAX_CALLS_PER_ROTATION': process.env.MAX_CALLS_PER_ROTATION || '100',
+        'HELIUS_DAILY_CREDITS_PER_KEY': process.env.HELIUS_DAILY_CREDITS_PER_KEY || '0',
+        'KEY_RATE_LIMIT_COOLDOWN': process.env.KEY_RATE_LIMIT_COOLDOWN || '60000',
+        'FETCH_RETRY_ATTEMPTS': process.env.FETCH_RETRY_ATTEMPTS || '4',
+        'FETCH_RETRY_BASE_DELAY': process.env.FETCH_RETRY_BASE_DELAY || '1000',
+        'DEAD_LETTER_MAX': process.env.DEAD_LETTER_MAX || '500',
+        'SIGNATURE_CACHE_TTL': process.env.SIGNATURE_CACHE_TTL || '600000',
+        'SIGNATURE_CACHE_SIZE': process.env.SIGNATURE_CACHE_SIZE || '5000',
         'RATE_LIMIT_DELAY': process.env.RATE_LIMIT_DELAY || '1200',
+        'ENHANCED_BATCH_WINDOW': process.env.ENHANCED_BATCH_WINDOW || '250',
         'CACHE_EXPIRY': process.env.CACHE_EXPIRY || '300000',
-        'RECONNECT_ATTEMPTS': process.env.RECONNECT_ATTEMPTS || '5',
-        'RECONNECT_DELAY': process.env.RECONNECT_DELAY || '1000'
+        'RECONNECT_DELAY': process.env.RECONNECT_DELAY || '1000',
+        'RECONNECT_MAX_DELAY': process.env.RECONNECT_MAX_DELAY || '60000',
+        'RECONNECT_KEY_SWITCH_AFTER': process.env.RECONNECT_KEY_SWITCH_AFTER || '3',
+        'DEGRADED_NOTICE_DELAY': process.env.DEGRADED_NOTICE_DELAY || '60000',
+        'GAP_RECOVERY_LIMIT': process.env.GAP_RECOVERY_LIMIT || '25',
+        'DEFAULT_COMMITMENT': process.env.DEFAULT_COMMITMENT || 'finalized',
+        'FINALITY_CHECK_INTERVAL': process.env.FINALITY_CHECK_INTERVAL || '5000',
+        'FINALITY_TIMEOUT': process.env.FINALITY_TIMEOUT || '120000',
+        'WS_PING_INTERVAL': process.env.WS_PING_INTERVAL || '30000',
+        'WS_STALE_TIMEOUT': process.env.WS_STALE_TIMEOUT || '90000',
+        'STORAGE_BACKEND': process.env.STORAGE_BACKEND || 'file',
+        'DATA_DIR': process.env.DATA_DIR || './data',
+        'HISTORY_MAX_PER_WALLET': process.env.HISTORY_MAX_PER_WALLET || '500',
+        'BACKFILL_LIMIT': process.env.BACKFILL_LIMIT || '10',
+        'PUMPFUN_EARLY_BUY_WINDOW': process.env.PUMPFUN_EARLY_BUY_WINDOW || '300000'
     };
 
     let hasErrors = false;
@@ -0,0 +1,212 @@
+// Pool de API keys de Helius con control de salud para VoltsTrack Bot
+// Cada key lleva su tasa de errores, cooldown tras 429 y créditos usados en el día (UTC).
+// Las keys no sanas se saltan y una petición fallida se reintenta con la siguiente key sana
+
+const { apiLogger } = require('./Logger');
+
+const RATE_LIMIT_COOLDOWN = parseInt(process.env.KEY_RATE_LIMIT_COOLDOWN) || 60000; // 429 sin Retry-After
+const AUTH_ERROR_COOLDOWN = 60 * 60 * 1000; // 401/403: key inválida o sin plan
+const ERROR_COOLDOWN = 30000;               // Tras varios errores seguidos (5xx, timeouts)
+const MAX_CONSECUTIVE_ERRORS = 3;
+const DAILY_CREDIT_LIMIT = parseInt(process.env.HELIUS_DAILY_CREDITS_PER_KEY) || 0; // 0 = sin límite
+
+const maskKey = (key) => key.substring(0, 8) + '...';
+const currentDay = () => new Date().toISOString().substring(0, 10);
+
+// Estado HTTP de un error de axios (undefined si no hubo respuesta: red, timeout...)
+const getErrorStatus = (error) => error?.response?.status;
+
+// 429, errores de autenticación, 5xx y fallos de red merecen probar otra key; 400/404 no
+const isRetryableError = (error) => {
+    const status = getErrorStatus(error);
+    return status === undefined || status === 401 || status === 403 || status === 429 || status >= 500;
+};
+
+class ApiKeyPool {
+    constructor(keys, { maxCallsPerRotation = 100, dailyCreditLimit = DAILY_CREDIT_LIMIT } = {}) {
+        this.maxCallsPerRotation = maxCallsPerRotation;
+        this.dailyCreditLimit = dailyCreditLimit;
+        this.currentIndex = 0;
+        this.callsOnCurrentKey = 0;
+        this.keys = keys.map(key => ({
+            key,
+            requests: 0,
+            errors: 0,
+            consecutiveErrors: 0,
+            rateLimited: 0,
+            cooldownUntil: 0,
+            cooldownReason: null,
+            creditsUsed: 0,
+            creditsDay: currentDay(),
+            lastError: null,
+            lastUsedAt: null
+        }));
+    }
+
+    // Reiniciar los créditos al cambiar de día (UTC)
+    resetDailyCredits(state) {
+        const today = currentDay();
+        if (state.creditsDay !== today) {
+            state.creditsDay = today;
+            state.creditsUsed = 0;
+        }
+    }
+
+    getKeyStatus(state, now = Date.now()) {
+        this.resetDailyCredits(state);
+        if (state.cooldownUntil > now) return state.cooldownReason === 'auth' ? 'disabled' : 'cooldown';
+        if (this.dailyCreditLimit > 0 && state.creditsUsed >= this.dailyCreditLimit) return 'exhausted';
+        return 'healthy';
+    }
+
+    isHealthy(state) {
+        return this.getKeyStatus(state) === 'healthy';
+    }
+
+    // Key actual; si no está sana, pasar a la siguiente sana.
+    // Sin ninguna sana se usa la que antes sale del cooldown (mejor intentarlo que no hacer nada)
+    getKey() {
+        if (!this.isHealthy(this.keys[this.currentIndex])) {
+            const healthyIndex = this.findHealthyIndex(this.currentIndex);
+            if (healthyIndex !== -1) {
+                this.switchTo(healthyIndex, 'unhealthy');
+            } else {
+                // Una key sin créditos no se recupera hasta el día siguiente
+                const availableAt = (state) => this.getKeyStatus(state) === 'exhausted' ? Infinity : state.cooldownUntil;
+                const soonest = this.keys.reduce((best, state, index) =>
+                    availableAt(state) < availableAt(this.keys[best]) ? index : best, this.currentIndex);
+                if (soonest !== this.currentIndex) this.switchTo(soonest, 'all keys unhealthy');
+            }
+        }
+        return this.keys[this.currentIndex].key;
+    }
+
+    // Índice de la siguiente key sana después de fromIndex (-1 si no hay ninguna)
+    findHealthyIndex(fromIndex, exclude = new Set()) {
+        for (let offset = 1; offset <= this.keys.length; offset++) {
+            const index = (fromIndex + offset) % this.keys.length;
+            if (!exclude.has(index) && this.isHealthy(this.keys[index])) return index;
+        }
+        return -1;
+    }
+
+    switchTo(index, reason) {
+        if (index === this.currentIndex) return false;
+        const oldKey = this.keys[this.currentIndex].key;
+        this.currentIndex = index;
+        this.callsOnCurrentKey = 0;
+        apiLogger.keyRotation(oldKey, this.keys[index].key, reason);
+        return true;
+    }
+
+    // Rotación programada (tiempo o uso): solo entre keys sanas. Devuelve true si cambió la key
+    rotate(reason = 'scheduled') {
+        const nextIndex = this.findHealthyIndex(this.currentIndex);
+        return nextIndex !== -1 && this.switchTo(nextIndex, reason);
+    }
+
+    recordSuccess(key, credits = 1) {
+        const state = this.keys.find(entry => entry.key === key);
+        if (!state) return;
+
+        this.resetDailyCredits(state);
+        state.requests++;
+        state.creditsUsed += credits;
+        state.consecutiveErrors = 0;
+        state.lastUsedAt = Date.now();
+
+        // Repartir el uso entre keys como hacía la rotación por uso
+        if (key === this.keys[this.currentIndex].key && ++this.callsOnCurrentKey >= this.maxCallsPerRotation) {
+            this.rotate('usage');
+        }
+    }
+
+    recordFailure(key, error, credits = 1) {
+        const state = this.keys.find(entry => entry.key === key);
+        if (!state) return;
+
+        const status = getErrorStatus(error);
+        const now = Date.now();
+        this.resetDailyCredits(state);
+        state.requests++;
+        state.errors++;
+        state.consecutiveErrors++;
+        state.lastUsedAt = now;
+        state.lastError = { status: status || null, message: error?.message || String(error), at: new Date(now).toISOString() };
+        // Helius también cobra las peticiones que fallan en el servidor
+        if (status && status >= 500) state.creditsUsed += credits;
+
+        if (status === 429) {
+            const retryAfter = parseInt(error.response.headers?.['retry-after']) * 1000;
+            state.rateLimited++;
+            this.startCooldown(state, retryAfter > 0 ? retryAfter : RATE_LIMIT_COOLDOWN, 'rate_limit');
+        } else if (status === 401 || status === 403) {
+            this.startCooldown(state, AUTH_ERROR_COOLDOWN, 'auth');
+        } else if (state.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+            this.startCooldown(state, ERROR_COOLDOWN, 'errors');
+        }
+    }
+
+    startCooldown(state, duration, reason) {
+        state.cooldownUntil = Date.now() + duration;
+        state.cooldownReason = reason;
+        apiLogger.warn(`API key ${maskKey(state.key)} cooling down for ${Math.round(duration / 1000)}s (${reason})`);
+    }
+
+    // Ejecutar operation(apiKey) con la key actual y, si falla de forma reintentable,
+    // con la siguiente key sana. Lanza el último error si todas fallan
+    async request(operation, { credits = 1 } = {}) {
+        const tried = new Set();
+        let lastError = null;
+
+        while (tried.size < this.keys.length) {
+            const key = tried.size === 0 ? this.getKey() : this.keys[this.currentIndex].key;
+            const index = this.keys.findIndex(entry => entry.key === key);
+            tried.add(index);
+
+            try {
+                const result = await operation(key);
+                this.recordSuccess(key, credits);
+                return result;
+            } catch (error) {
+                lastError = error;
+                this.recordFailure(key, error, credits);
+                if (!isRetryableError(error)) break;
+
+                const nextIndex = this.findHealthyIndex(index, tried);
+                if (nextIndex === -1) break;
+                this.switchTo(nextIndex, `retry after ${getErrorStatus(error) || error.code || 'error'}`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Salud por key para getStatus y /status (keys enmascaradas)
+    getHealth() {
+        const now = Date.now();
+        return this.keys.map((state, index) => ({
+            key: maskKey(state.key),
+            current: index === this.currentIndex,
+            status: this.getKeyStatus(state, now),
+            requests: state.requests,
+            errors: state.errors,
+            errorRate: state.requests > 0 ? Math.round((state.errors / state.requests) * 1000) / 10 : 0,
+            rateLimited: state.rateLimited,
+            cooldownRemainingMs: Math.max(0, state.cooldownUntil - now),
+            creditsUsedToday: state.creditsUsed,
+            dailyCreditLimit: this.dailyCreditLimit || null,
+            lastError: state.lastError
+        }));
+    }
+
+    getHealthyCount() {
+        return this.keys.filter(state => this.isHealthy(state)).length;
+    }
+}
+
+module.exports = {
+    ApiKeyPool,
+    isRetryableError,
+    maskKey
+};
@@ -0,0 +1,200 @@
+// Proveedores de datos de la cadena para VoltsTrack Bot
+// Interfaz común: suscripción de logs (WebSocket), transacciones enriquecidas, metadatos de assets y JSON-RPC.
+// Implementaciones: Helius (por defecto), cualquier nodo Solana JSON-RPC y un mock con fixtures (utils/MockProvider)
+
+const axios = require('axios');
+const WebSocket = require('ws');
+const { ApiKeyPool } = require('./ApiKeyPool');
+const { createLogger } = require('./Logger');
+
+const providerLogger = createLogger('PROVIDER');
+
+// Créditos de Helius por tipo de llamada (para el presupuesto diario de cada key)
+const HELIUS_CREDITS = {
+    enhancedTransactions: 100,
+    getAssetBatch: 10,
+    rpc: 1
+};
+
+const postJson = (url, body) => axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+});
+
+// Respuesta JSON-RPC con campo error (la petición HTTP fue bien)
+const rpcError = (method, error) => {
+    const rpcFailure = new Error(`${method} failed: ${error.message || JSON.stringify(error)}`);
+    rpcFailure.code = 'RPC_ERROR';
+    rpcFailure.rpcCode = error.code;
+    return rpcFailure;
+};
+
+// Base: JSON-RPC sobre post(), sin transacciones enriquecidas ni metadatos salvo que el proveedor los tenga
+class ChainProvider {
+    constructor(name) {
+        this.name = name;
+        this.apiKeyPool = null;              // Solo proveedores con API keys
+        this.socketKey = null;               // Key usada por el último socket creado
+        this.supportsEnhancedTransactions = false;
+        this.supportsAssets = false;
+    }
+
+    // Socket para logsSubscribe/logsUnsubscribe (API de ws: onopen, onmessage, on('pong'), ping, terminate)
+    createSocket() {
+        throw new Error(`${this.name} provider does not support log subscriptions`);
+    }
+
+    // Endpoint legible para logs y /status (sin credenciales)
+    describe() {
+        return this.name;
+    }
+
+    async post(body) {
+        throw new Error(`${this.name} provider has no JSON-RPC endpoint`);
+    }
+
+    // Llamada JSON-RPC: devuelve result o lanza el error (HTTP o JSON-RPC)
+    async rpc(method, params, { credits = HELIUS_CREDITS.rpc } = {}) {
+        const response = await this.post({ jsonrpc: '2.0', id: method, method, params }, credits);
+        if (response.data?.error) throw rpcError(method, response.data.error);
+        return response.data?.result;
+    }
+
+    // Transacciones enriquecidas (formato Helius /v0/transactions) de las firmas encontradas
+    async fetchEnhancedTransactions(signatures) {
+        return [];
+    }
+
+    // Transacción cruda (jsonParsed) para el parser nativo; null si el nodo aún no la tiene
+    async fetchTransaction(signature, commitment = 'confirmed') {
+        return this.rpc('getTransaction', [signature, {
+            encoding: 'jsonParsed',
+            commitment,
+            maxSupportedTransactionVersion: 0
+        }]);
+    }
+
+    // Cuenta con los datos en base64 ({ data: [base64, 'base64'], owner, lamports }); null si no existe
+    async fetchAccountInfo(address, commitment = 'confirmed') {
+        const result = await this.rpc('getAccountInfo', [address, { encoding: 'base64', commitment }]);
+        return result?.value || null;
+    }
+
+    // Assets en formato DAS (getAssetBatch), en el orden de mints; null por mint sin metadatos
+    async fetchAssets(mints) {
+        if (!this.supportsAssets) return mints.map(() => null);
+        return this.rpc('getAssetBatch', { ids: mints, displayOptions: { showFungible: true } }, { credits: HELIUS_CREDITS.getAssetBatch });
+    }
+}
+
+// Helius: RPC, WebSocket, Enhanced Transactions API y DAS, con el pool de API keys
+class HeliusProvider extends ChainProvider {
+    constructor({
+        apiKeys = process.env.HELIUS_API_KEYS,
+        network = process.env.SOLANA_NETWORK || 'mainnet',
+        maxCallsPerRotation = 100
+    } = {}) {
+        super('helius');
+
+        if (!apiKeys) {
+            throw new Error('HELIUS_API_KEYS environment variable is required');
+        }
+        const keys = apiKeys.split(',').map(key => key.trim());
+
+        // Validate API keys format
+        keys.forEach((key, index) => {
+            if (!key || key.length < 32) {
+                throw new Error(`Invalid Helius API key at index ${index}: ${key.substring(0, 8)}...`);
+            }
+        });
+
+        this.network = network;
+        this.apiKeyPool = new ApiKeyPool(keys, { maxCallsPerRotation });
+        this.supportsEnhancedTransactions = true;
+        this.supportsAssets = true;
+    }
+
+    createSocket() {
+        this.socketKey = this.apiKeyPool.getKey();
+        return new WebSocket(`wss://${this.network}.helius-rpc.com/?api-key=${this.socketKey}`);
+    }
+
+    describe() {
+        return `${this.network}.helius-rpc.com`;
+    }
+
+    // Cada petición va por el pool: si una key falla se reintenta con la siguiente sana
+    async post(body, credits = HELIUS_CREDITS.rpc) {
+        return this.apiKeyPool.request(apiKey =>
+            postJson(`https://${this.network}.helius-rpc.com/?api-key=${apiKey}`, body), { credits });
+    }
+
+    async fetchEnhancedTransactions(signatures) {
+        const response = await this.apiKeyPool.request(apiKey =>
+            postJson(`https://api.helius.xyz/v0/transactions?api-key=${apiKey}`, { transactions: signatures }),
+            { credits: HELIUS_CREDITS.enhancedTransactions });
+
+        return Array.isArray(response.data) ? response.data : [];
+    }
+}
+
+// Nodo Solana JSON-RPC genérico (propio u otro proveedor). Sin Enhanced Transactions API;
+// getAssetBatch solo si el nodo implementa DAS (SOLANA_RPC_DAS=true)
+class SolanaRpcProvider extends ChainProvider {
+    constructor({
+        rpcUrl = process.env.SOLANA_RPC_URL,
+        wsUrl = process.env.SOLANA_WS_URL,
+        das = process.env.SOLANA_RPC_DAS === 'true'
+    } = {}) {
+        super('rpc');
+
+        if (!rpcUrl) {
+            throw new Error('SOLANA_RPC_URL environment variable is required for the rpc provider');
+        }
+        this.rpcUrl = rpcUrl;
+        this.wsUrl = wsUrl || rpcUrl.replace(/^http/, 'ws');
+        this.supportsAssets = das;
+    }
+
+    createSocket() {
+        return new WebSocket(this.wsUrl);
+    }
+
+    describe() {
+        try {
+            return new URL(this.rpcUrl).host;
+        } catch (error) {
+            return 'custom rpc';
+        }
+    }
+
+    async post(body) {
+        return postJson(this.rpcUrl, body);
+    }
+}
+
+// Crear el proveedor configurado (CHAIN_PROVIDER=helius|rpc|mock)
+const createProvider = (type = process.env.CHAIN_PROVIDER || 'helius', options = {}) => {
+    switch (type.toLowerCase()) {
+        case 'helius':
+            return new HeliusProvider(options);
+        case 'rpc':
+            return new SolanaRpcProvider(options);
+        case 'mock': {
+            const { MockProvider } = require('./MockProvider');
+            providerLogger.warn('Using the mock chain provider - data comes from local fixtures');
+            return new MockProvider(options);
+        }
+        default:
+            providerLogger.warn(`Unknown chain provider "${type}", falling back to Helius`);
+            return new HeliusProvider(options);
+    }
+};
+
+module.exports = {
+    HELIUS_CREDITS,
+    ChainProvider,
+    HeliusProvider,
+    SolanaRpcProvider,
+    createProvider
+};
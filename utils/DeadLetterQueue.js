@@ -0,0 +1,93 @@
+// Lista de "dead letters" para VoltsTrack Bot
+// Firmas cuya Enhanced Transaction no se pudo obtener o procesar tras los reintentos.
+// Se persisten para poder reprocesarlas más tarde (HTTP POST /dead-letters/reprocess)
+
+const { createLogger } = require('./Logger');
+
+const deadLetterLogger = createLogger('DEADLETTER');
+
+const MAX_DEAD_LETTERS = parseInt(process.env.DEAD_LETTER_MAX) || 500;
+
+class DeadLetterQueue {
+    constructor(storage, namespace = 'deadLetters') {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.entries = new Map(); // signature -> entry (orden de inserción = más antigua primero)
+        this.saveTimeout = null;
+
+        this.load();
+    }
+
+    load() {
+        const entries = this.storage.read(this.namespace, []);
+
+        if (Array.isArray(entries)) {
+            entries.slice(-MAX_DEAD_LETTERS).forEach(entry => {
+                if (entry && entry.signature) this.entries.set(entry.signature, entry);
+            });
+        }
+
+        if (this.entries.size > 0) {
+            deadLetterLogger.warn(`Loaded ${this.entries.size} dead-lettered signature(s)`);
+        }
+    }
+
+    save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        this.storage.write(this.namespace, this.list());
+    }
+
+    scheduleSave(delay = 5000) {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, delay);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Añadir (o actualizar) una firma fallida
+    add(signature, reason) {
+        if (!signature) return;
+
+        const now = new Date().toISOString();
+        const existing = this.entries.get(signature);
+        this.entries.set(signature, {
+            signature,
+            reason,
+            failures: (existing?.failures || 0) + 1,
+            firstFailedAt: existing?.firstFailedAt || now,
+            lastFailedAt: now
+        });
+
+        // Descartar las más antiguas
+        while (this.entries.size > MAX_DEAD_LETTERS) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        deadLetterLogger.warn(`Dead-lettered ${signature.substring(0, 8)}...: ${reason}`);
+        this.scheduleSave();
+    }
+
+    remove(signature) {
+        if (this.entries.delete(signature)) {
+            this.scheduleSave();
+        }
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+}
+
+module.exports = {
+    DeadLetterQueue
+};
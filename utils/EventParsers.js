@@ -0,0 +1,232 @@
+// Parsers de eventos no-SWAP (Helius Enhanced Transactions)
+// Cada parser recibe la transacción y un predicado isTracked(wallet) y devuelve
+// los campos del evento para la wallet rastreada involucrada, o null si no aplica
+
+const LAMPORTS_PER_SOL = 1000000000;
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const toSol = (lamports) => (Number(lamports) || 0) / LAMPORTS_PER_SOL;
+
+const largestBy = (items, getAmount) => items.reduce((max, current) =>
+    (max === null || getAmount(current) > getAmount(max)) ? current : max, null);
+
+// Wallet rastreada que firmó la transacción (si la hay)
+const trackedFeePayer = (enhancedTx, isTracked) =>
+    enhancedTx.feePayer && isTracked(enhancedTx.feePayer) ? enhancedTx.feePayer : null;
+
+// Transferencias nativas y de tokens en las que participa una wallet rastreada
+const collectTransfers = (enhancedTx, isTracked) => {
+    const nativeTransfers = (enhancedTx.nativeTransfers || [])
+        .filter(transfer => transfer.fromUserAccount !== transfer.toUserAccount)
+        .filter(transfer => isTracked(transfer.fromUserAccount) || isTracked(transfer.toUserAccount));
+
+    const tokenTransfers = (enhancedTx.tokenTransfers || [])
+        .filter(transfer => transfer.fromUserAccount !== transfer.toUserAccount)
+        .filter(transfer => isTracked(transfer.fromUserAccount) || isTracked(transfer.toUserAccount));
+
+    return { nativeTransfers, tokenTransfers };
+};
+
+// TRANSFER: SOL o tokens que entran/salen de la wallet rastreada
+const parseTransfer = (enhancedTx, isTracked) => {
+    const { nativeTransfers, tokenTransfers } = collectTransfers(enhancedTx, isTracked);
+
+    // Priorizar tokens: las transferencias nativas pequeñas suelen ser rent de cuentas nuevas
+    const tokenTransfer = largestBy(tokenTransfers, transfer => Number(transfer.tokenAmount) || 0);
+    if (tokenTransfer && tokenTransfer.mint !== WSOL_MINT) {
+        const outgoing = isTracked(tokenTransfer.fromUserAccount);
+        return {
+            wallet: outgoing ? tokenTransfer.fromUserAccount : tokenTransfer.toUserAccount,
+            direction: outgoing ? 'OUT' : 'IN',
+            counterparty: outgoing ? tokenTransfer.toUserAccount : tokenTransfer.fromUserAccount,
+            mintAddress: tokenTransfer.mint,
+            tokenAmount: Number(tokenTransfer.tokenAmount) || 0
+        };
+    }
+
+    const nativeTransfer = largestBy(nativeTransfers, transfer => Number(transfer.amount) || 0);
+    if (nativeTransfer) {
+        const outgoing = isTracked(nativeTransfer.fromUserAccount);
+        return {
+            wallet: outgoing ? nativeTransfer.fromUserAccount : nativeTransfer.toUserAccount,
+            direction: outgoing ? 'OUT' : 'IN',
+            counterparty: outgoing ? nativeTransfer.toUserAccount : nativeTransfer.fromUserAccount,
+            mintAddress: null,
+            token: 'SOL',
+            solAmount: toSol(nativeTransfer.amount)
+        };
+    }
+
+    if (tokenTransfer) {
+        // Transferencia de WSOL: tratar como SOL
+        const outgoing = isTracked(tokenTransfer.fromUserAccount);
+        return {
+            wallet: outgoing ? tokenTransfer.fromUserAccount : tokenTransfer.toUserAccount,
+            direction: outgoing ? 'OUT' : 'IN',
+            counterparty: outgoing ? tokenTransfer.toUserAccount : tokenTransfer.fromUserAccount,
+            mintAddress: null,
+            token: 'SOL',
+            solAmount: Number(tokenTransfer.tokenAmount) || 0
+        };
+    }
+
+    return null;
+};
+
+// NFT_SALE / NFT_MINT: usa events.nft (comprador, vendedor, precio y marketplace)
+const parseNft = (enhancedTx, isTracked) => {
+    const nftEvent = enhancedTx.events?.nft;
+
+    if (nftEvent) {
+        const buyerTracked = isTracked(nftEvent.buyer);
+        const sellerTracked = isTracked(nftEvent.seller);
+        const wallet = buyerTracked ? nftEvent.buyer : sellerTracked ? nftEvent.seller : trackedFeePayer(enhancedTx, isTracked);
+        if (!wallet) return null;
+
+        return {
+            wallet,
+            side: wallet === nftEvent.seller ? 'SELL' : 'BUY',
+            counterparty: wallet === nftEvent.seller ? nftEvent.buyer : nftEvent.seller,
+            mintAddress: nftEvent.nfts?.[0]?.mint || null,
+            nftCount: nftEvent.nfts?.length || 1,
+            solAmount: toSol(nftEvent.amount),
+            marketplace: nftEvent.source || enhancedTx.source || null
+        };
+    }
+
+    // Sin evento NFT: buscar el NFT recibido por la wallet rastreada
+    const received = (enhancedTx.tokenTransfers || [])
+        .find(transfer => isTracked(transfer.toUserAccount) && Number(transfer.tokenAmount) === 1);
+    if (!received) return null;
+
+    return {
+        wallet: received.toUserAccount,
+        side: 'BUY',
+        counterparty: received.fromUserAccount || null,
+        mintAddress: received.mint,
+        nftCount: 1,
+        solAmount: undefined,
+        marketplace: enhancedTx.source || null
+    };
+};
+
+// ADD_LIQUIDITY / REMOVE_LIQUIDITY: tokens depositados en (o retirados de) un pool
+const parseLiquidity = (enhancedTx, isTracked, eventType) => {
+    const adding = eventType === 'ADD_LIQUIDITY';
+    const { nativeTransfers, tokenTransfers } = collectTransfers(enhancedTx, isTracked);
+
+    // Al añadir, la wallet envía los tokens del par; al retirar, los recibe
+    const legTransfers = tokenTransfers.filter(transfer =>
+        adding ? isTracked(transfer.fromUserAccount) : isTracked(transfer.toUserAccount));
+    const solTransfers = nativeTransfers.filter(transfer =>
+        adding ? isTracked(transfer.fromUserAccount) : isTracked(transfer.toUserAccount));
+
+    const wallet = legTransfers[0]
+        ? (adding ? legTransfers[0].fromUserAccount : legTransfers[0].toUserAccount)
+        : trackedFeePayer(enhancedTx, isTracked);
+    if (!wallet) return null;
+
+    let solAmount = solTransfers.reduce((sum, transfer) => sum + toSol(transfer.amount), 0);
+    const legs = [];
+    legTransfers.forEach(transfer => {
+        if (transfer.mint === WSOL_MINT) {
+            solAmount += Number(transfer.tokenAmount) || 0;
+        } else {
+            legs.push({ mint: transfer.mint, amount: Number(transfer.tokenAmount) || 0 });
+        }
+    });
+
+    return {
+        wallet,
+        legs,
+        mintAddress: legs[0]?.mint || null,
+        solAmount: solAmount > 0 ? solAmount : undefined,
+        pool: enhancedTx.source || null
+    };
+};
+
+// STAKE: STAKE_SOL / UNSTAKE_SOL / STAKE_TOKEN / UNSTAKE_TOKEN
+const parseStake = (enhancedTx, isTracked) => {
+    const unstaking = (enhancedTx.type || '').toUpperCase().startsWith('UNSTAKE');
+    const { nativeTransfers, tokenTransfers } = collectTransfers(enhancedTx, isTracked);
+    const matchesDirection = (transfer) =>
+        unstaking ? isTracked(transfer.toUserAccount) : isTracked(transfer.fromUserAccount);
+
+    const tokenTransfer = largestBy(tokenTransfers.filter(matchesDirection), transfer => Number(transfer.tokenAmount) || 0);
+    const nativeTransfer = largestBy(nativeTransfers.filter(matchesDirection), transfer => Number(transfer.amount) || 0);
+    const walletOf = (transfer) => unstaking ? transfer.toUserAccount : transfer.fromUserAccount;
+
+    if (tokenTransfer && tokenTransfer.mint !== WSOL_MINT) {
+        return {
+            wallet: walletOf(tokenTransfer),
+            action: unstaking ? 'UNSTAKE' : 'STAKE',
+            mintAddress: tokenTransfer.mint,
+            tokenAmount: Number(tokenTransfer.tokenAmount) || 0,
+            validator: unstaking ? tokenTransfer.fromUserAccount : tokenTransfer.toUserAccount
+        };
+    }
+
+    const wallet = nativeTransfer ? walletOf(nativeTransfer) : trackedFeePayer(enhancedTx, isTracked);
+    if (!wallet) return null;
+
+    return {
+        wallet,
+        action: unstaking ? 'UNSTAKE' : 'STAKE',
+        mintAddress: null,
+        token: 'SOL',
+        solAmount: nativeTransfer ? toSol(nativeTransfer.amount) : undefined,
+        validator: nativeTransfer ? (unstaking ? nativeTransfer.fromUserAccount : nativeTransfer.toUserAccount) : null
+    };
+};
+
+// BURN: tokens destruidos por la wallet rastreada (balance negativo sin destinatario)
+const parseBurn = (enhancedTx, isTracked) => {
+    const burnTransfer = (enhancedTx.tokenTransfers || [])
+        .find(transfer => isTracked(transfer.fromUserAccount) && !transfer.toUserAccount);
+    if (burnTransfer) {
+        return {
+            wallet: burnTransfer.fromUserAccount,
+            mintAddress: burnTransfer.mint,
+            tokenAmount: Number(burnTransfer.tokenAmount) || 0
+        };
+    }
+
+    // Helius no siempre lista los burns como transfer: usar tokenBalanceChanges
+    for (const account of enhancedTx.accountData || []) {
+        for (const change of account.tokenBalanceChanges || []) {
+            const rawAmount = Number(change.rawTokenAmount?.tokenAmount);
+            if (isTracked(change.userAccount) && rawAmount < 0) {
+                return {
+                    wallet: change.userAccount,
+                    mintAddress: change.mint,
+                    tokenAmount: Math.abs(rawAmount) / Math.pow(10, change.rawTokenAmount.decimals || 0)
+                };
+            }
+        }
+    }
+
+    return null;
+};
+
+const EVENT_PARSERS = {
+    TRANSFER: parseTransfer,
+    NFT_SALE: parseNft,
+    NFT_MINT: parseNft,
+    ADD_LIQUIDITY: parseLiquidity,
+    REMOVE_LIQUIDITY: parseLiquidity,
+    STAKE: parseStake,
+    BURN: parseBurn
+};
+
+const parseEvent = (eventType, enhancedTx, isTracked) => {
+    const parser = EVENT_PARSERS[eventType];
+    if (!parser) return null;
+    return parser(enhancedTx, isTracked, eventType);
+};
+
+module.exports = {
+    LAMPORTS_PER_SOL,
+    WSOL_MINT,
+    EVENT_PARSERS,
+    parseEvent
+};
@@ -0,0 +1,151 @@
+// Plantillas de notificación para eventos no-SWAP
+// Mismo formato que las notificaciones de swap: cabecera, detalle, firma y link a Solscan
+
+const { EVENT_TYPES } = require('./EventTypes');
+
+const escapeMarkdown = (text) => String(text).replace(/([_*`\[])/g, '\\$1');
+
+const shortAddress = (address) => address ? `\`${address.substring(0, 4)}...${address.substring(address.length - 4)}\`` : '`unknown`';
+
+const formatSol = (amount) => {
+    if (typeof amount !== 'number') return 'N/A SOL';
+    if (amount >= 1000) return (amount / 1000).toFixed(2) + 'K SOL';
+    if (amount >= 1) return amount.toFixed(3) + ' SOL';
+    if (amount >= 0.001) return amount.toFixed(4) + ' SOL';
+    return amount.toFixed(6) + ' SOL';
+};
+
+const formatQuantity = (amount) => {
+    if (typeof amount !== 'number' || isNaN(amount)) return 'N/A';
+    if (amount >= 1000000000) return (amount / 1000000000).toFixed(2) + 'B';
+    if (amount >= 1000000) return (amount / 1000000).toFixed(2) + 'M';
+    if (amount >= 1000) return (amount / 1000).toFixed(2) + 'K';
+    return amount.toLocaleString('en-US', { maximumFractionDigits: 6 });
+};
+
+// Cantidad exacta (sin abreviar) para mostrar junto al importe en SOL
+const formatExactQuantity = (amount) => {
+    if (typeof amount !== 'number' || isNaN(amount)) return 'N/A';
+    return amount.toLocaleString('en-US', { maximumFractionDigits: 9 });
+};
+
+// Precio por token en SOL: suficientes decimales para precios de memecoins (0.000000042 SOL)
+const formatSolPrice = (price) => {
+    if (typeof price !== 'number' || !isFinite(price) || price <= 0) return 'N/A';
+    if (price >= 1) return price.toFixed(4) + ' SOL';
+    const decimals = Math.min(12, -Math.floor(Math.log10(price)) + 3);
+    return price.toFixed(decimals) + ' SOL';
+};
+
+// "1.50K $BONK" o "2.000 SOL" según el tipo de activo del evento
+const formatAsset = (data) => {
+    if (data.token === 'SOL' || (!data.mintAddress && typeof data.solAmount === 'number')) {
+        return formatSol(data.solAmount);
+    }
+    return `${formatQuantity(data.tokenAmount)} $${escapeMarkdown(data.token || 'Unknown')}`;
+};
+
+const formatLiquidityLegs = (data) => {
+    const legs = (data.legs || []).map(leg => `${formatQuantity(leg.amount)} $${escapeMarkdown(leg.symbol || 'Unknown')}`);
+    if (typeof data.solAmount === 'number') {
+        legs.unshift(formatSol(data.solAmount));
+    }
+    return (data.pool ? ` on ${escapeMarkdown(data.pool)}` : '') +
+           (legs.length > 0 ? `\n💧 *Tokens:* ${legs.join(' + ')}` : '');
+};
+
+const EVENT_TEMPLATES = {
+    TRANSFER: (data, walletDisplay) => data.direction === 'OUT'
+        ? `👛 Wallet ${walletDisplay} 📤 sent ${formatAsset(data)} to ${shortAddress(data.counterparty)}`
+        : `👛 Wallet ${walletDisplay} 📥 received ${formatAsset(data)} from ${shortAddress(data.counterparty)}`,
+
+    NFT_SALE: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} ${data.side === 'SELL' ? '🔴 sold' : '🟢 bought'} ` +
+        `${data.nftCount > 1 ? `${data.nftCount} NFTs` : `NFT *${escapeMarkdown(data.token || 'Unknown')}*`} ` +
+        `for ${formatSol(data.solAmount)}` +
+        (data.marketplace ? `\n🏪 *Marketplace:* ${escapeMarkdown(data.marketplace)}` : '') +
+        (data.mintAddress ? `\n🪙 *Mint:* \`${data.mintAddress}\`` : ''),
+
+    NFT_MINT: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} minted ${data.nftCount > 1 ? `${data.nftCount} NFTs` : `NFT *${escapeMarkdown(data.token || 'Unknown')}*`}` +
+        (typeof data.solAmount === 'number' && data.solAmount > 0 ? ` for ${formatSol(data.solAmount)}` : '') +
+        (data.mintAddress ? `\n🪙 *Mint:* \`${data.mintAddress}\`` : ''),
+
+    ADD_LIQUIDITY: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} added liquidity` + formatLiquidityLegs(data),
+
+    REMOVE_LIQUIDITY: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} removed liquidity` + formatLiquidityLegs(data),
+
+    STAKE: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} ${data.action === 'UNSTAKE' ? 'unstaked' : 'staked'} ${formatAsset(data)}` +
+        (data.validator ? `\n🏛️ *${data.action === 'UNSTAKE' ? 'From' : 'To'}:* ${shortAddress(data.validator)}` : ''),
+
+    BURN: (data, walletDisplay) =>
+        `👛 Wallet ${walletDisplay} burned ${formatAsset(data)}` +
+        (data.mintAddress ? `\n🪙 *Mint:* \`${data.mintAddress}\`` : '')
+};
+
+// DEX / launchpad de la transacción (utils/ProgramRegistry)
+const formatVenue = (data) => data.venueName ? `🏦 *Venue:* ${escapeMarkdown(data.venueName)}\n` : '';
+
+// Bonding curve de Pump.fun: progreso hasta la graduación, creador y compra temprana
+const formatPumpFun = (data) => {
+    const pumpFun = data.pumpFun;
+    if (!pumpFun) return '';
+
+    const launchAge = pumpFun.launchAgeMs < 60000
+        ? `${Math.round(pumpFun.launchAgeMs / 1000)}s`
+        : `${Math.round(pumpFun.launchAgeMs / 60000)} min`;
+    return (pumpFun.complete
+               ? `🎓 *Bonding curve:* graduated\n`
+               : `📈 *Bonding curve:* ${pumpFun.progress.toFixed(1)}% to graduation\n`) +
+           (pumpFun.isCreator ? `👑 *Creator:* this wallet launched the token\n` : '') +
+           (pumpFun.earlyBuy ? `⏱️ *Early buy:* ${launchAge} after launch\n` : '');
+};
+
+// Estado de finalidad de una alerta temprana (el mensaje se edita al conocerse)
+const formatFinality = (data) => {
+    if (data.finality === 'finalized') return `✅ *Finalized*\n`;
+    if (data.finality === 'dropped') {
+        return `❌ *Dropped:* ${data.finalityReason === 'failed' ? 'the transaction failed on-chain' : 'the transaction never landed'}\n`;
+    }
+    if (data.commitment && data.commitment !== 'finalized') return `⚡ *Commitment:* ${data.commitment} (awaiting finality)\n`;
+    return '';
+};
+
+// Líneas sobre cómo llegó la notificación: finalidad y entregas con retraso
+const formatDeliveryNotes = (data) =>
+    formatFinality(data) +
+    (data.reprocessed ? `⏳ *Delayed:* reprocessed after a failed lookup\n` : '') +
+    (data.recovered ? `🩹 *Recovered:* missed while the connection was down\n` : '');
+
+// Mensaje completo de un evento tipado
+// notes: líneas extra que añade el bot (p.ej. otras wallets del usuario implicadas)
+const renderEventMessage = (data, { walletDisplay, timestamp, notes = '' }) => {
+    const eventInfo = EVENT_TYPES[data.eventType] || { emoji: '🔔', label: 'Transaction' };
+    const template = EVENT_TEMPLATES[data.eventType];
+    const body = template ? template(data, walletDisplay) : `👛 Wallet ${walletDisplay} sent a transaction`;
+
+    return `${eventInfo.emoji} *New ${eventInfo.label}*\n\n` +
+           `${body}\n` +
+           formatVenue(data) +
+           `\n` +
+           notes +
+           formatDeliveryNotes(data) +
+           `📝 *Signature:* \`${data.signature}\`\n` +
+           `⏰ *Time:* ${timestamp}\n\n` +
+           `[View on Solscan](https://solscan.io/tx/${data.signature})`;
+};
+
+module.exports = {
+    EVENT_TEMPLATES,
+    formatSol,
+    formatQuantity,
+    formatExactQuantity,
+    formatSolPrice,
+    formatVenue,
+    formatPumpFun,
+    formatDeliveryNotes,
+    renderEventMessage
+};
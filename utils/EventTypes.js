@@ -0,0 +1,65 @@
+// Modelo de eventos tipados para VoltsTrack Bot
+// Traduce los tipos de Helius Enhanced Transactions a los eventos que el bot sabe notificar
+
+const EVENT_TYPES = {
+    SWAP: { category: 'swap', emoji: '🔄', label: 'Swap' },
+    TRANSFER: { category: 'transfer', emoji: '💸', label: 'Transfer' },
+    NFT_SALE: { category: 'nft', emoji: '🖼️', label: 'NFT Sale' },
+    NFT_MINT: { category: 'nft', emoji: '🎨', label: 'NFT Mint' },
+    ADD_LIQUIDITY: { category: 'liquidity', emoji: '💧', label: 'Add Liquidity' },
+    REMOVE_LIQUIDITY: { category: 'liquidity', emoji: '🚰', label: 'Remove Liquidity' },
+    STAKE: { category: 'stake', emoji: '🥩', label: 'Stake' },
+    BURN: { category: 'burn', emoji: '🔥', label: 'Burn' }
+};
+
+// Categorías que el usuario puede activar/desactivar (/settings events)
+const EVENT_CATEGORIES = {
+    swap: { emoji: '🔄', label: 'Swaps' },
+    transfer: { emoji: '💸', label: 'Transfers' },
+    nft: { emoji: '🖼️', label: 'NFT sales & mints' },
+    liquidity: { emoji: '💧', label: 'Liquidity' },
+    stake: { emoji: '🥩', label: 'Staking' },
+    burn: { emoji: '🔥', label: 'Burns' }
+};
+
+// Tipos de Helius -> tipo de evento del bot
+const HELIUS_TYPE_MAP = {
+    SWAP: 'SWAP',
+    TRANSFER: 'TRANSFER',
+    NFT_SALE: 'NFT_SALE',
+    NFT_MINT: 'NFT_MINT',
+    COMPRESSED_NFT_MINT: 'NFT_MINT',
+    ADD_LIQUIDITY: 'ADD_LIQUIDITY',
+    DEPOSIT_LIQUIDITY: 'ADD_LIQUIDITY',
+    REMOVE_LIQUIDITY: 'REMOVE_LIQUIDITY',
+    WITHDRAW_LIQUIDITY: 'REMOVE_LIQUIDITY',
+    STAKE_SOL: 'STAKE',
+    UNSTAKE_SOL: 'STAKE',
+    STAKE_TOKEN: 'STAKE',
+    UNSTAKE_TOKEN: 'STAKE',
+    BURN: 'BURN',
+    BURN_NFT: 'BURN'
+};
+
+const classifyEventType = (heliusType) => {
+    if (!heliusType) return null;
+    const normalized = heliusType.toUpperCase();
+
+    if (HELIUS_TYPE_MAP[normalized]) {
+        return HELIUS_TYPE_MAP[normalized];
+    }
+    // Variantes como "TOKEN_SWAP" o "SWAP_EXACT_OUT"
+    if (normalized.includes('SWAP')) {
+        return 'SWAP';
+    }
+    return null;
+};
+
+const getEventCategory = (eventType) => EVENT_TYPES[eventType]?.category || null;
+
+module.exports = {
+    EVENT_TYPES,
+    EVENT_CATEGORIES,
+    classifyEventType,
+    getEventCategory
+};
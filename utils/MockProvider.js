@@ -0,0 +1,250 @@
+// Proveedor mock para ejecutar el bot sin conexión
+// Lee un fixture JSON (MOCK_FIXTURES) con transacciones enriquecidas (y opcionalmente crudas), assets, cuentas y notificaciones de logs
+// que se reproducen al suscribirse a cada wallet. Formato en fixtures/mock-chain.json (solo crudas: fixtures/mock-chain-raw.json)
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ChainProvider } = require('./ChainProviders');
+const { findTrackedWallets } = require('./SwapDecoder');
+const { parseRawTransaction } = require('./RawTransactionParser');
+const { createLogger } = require('./Logger');
+
+const mockLogger = createLogger('MOCK');
+
+const SOCKET_OPEN_DELAY = 10;
+
+// Socket con la API de ws que responde a logsSubscribe/logsUnsubscribe y emite las notificaciones del fixture
+class MockSocket extends EventEmitter {
+    constructor(provider) {
+        super();
+        this.provider = provider;
+        this.readyState = MockSocket.CONNECTING;
+        this.subscriptions = new Map(); // subscription id -> wallet
+        this.timers = new Set();
+
+        this.schedule(() => {
+            this.readyState = MockSocket.OPEN;
+            if (this.onopen) this.onopen();
+            this.emit('open');
+        }, SOCKET_OPEN_DELAY);
+    }
+
+    schedule(callback, delay = 0) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    deliver(data) {
+        this.schedule(() => {
+            if (this.readyState === MockSocket.OPEN && this.onmessage) {
+                this.onmessage({ data: JSON.stringify(data) });
+            }
+        });
+    }
+
+    send(raw) {
+        const { id, method, params } = JSON.parse(raw);
+
+        if (method === 'logsSubscribe') {
+            const wallet = params[0]?.mentions?.[0];
+            const subscriptionId = this.provider.nextSubscriptionId++;
+            this.subscriptions.set(subscriptionId, wallet);
+            this.deliver({ jsonrpc: '2.0', id, result: subscriptionId });
+            this.provider.scheduleNotifications(this, subscriptionId, wallet);
+        } else if (method === 'logsUnsubscribe') {
+            this.deliver({ jsonrpc: '2.0', id, result: this.subscriptions.delete(params[0]) });
+        } else {
+            this.deliver({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+        }
+    }
+
+    ping() {
+        this.schedule(() => this.emit('pong'));
+    }
+
+    shutdown(wasClean, code, reason = '') {
+        if (this.readyState === MockSocket.CLOSED) return;
+        this.readyState = MockSocket.CLOSED;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        setTimeout(() => {
+            if (this.onclose) this.onclose({ wasClean, code, reason });
+            this.emit('close', code, reason);
+        }, 0);
+    }
+
+    close(code = 1000, reason = '') {
+        this.shutdown(true, code, reason);
+    }
+
+    terminate() {
+        this.shutdown(false, 1006);
+    }
+}
+
+MockSocket.CONNECTING = 0;
+MockSocket.OPEN = 1;
+MockSocket.CLOSED = 3;
+
+class MockProvider extends ChainProvider {
+    constructor({ fixturesPath = process.env.MOCK_FIXTURES || './fixtures/mock-chain.json' } = {}) {
+        super('mock');
+        this.fixturesPath = path.resolve(fixturesPath);
+        this.supportsEnhancedTransactions = true;
+        this.supportsAssets = true;
+        this.nextSubscriptionId = 1;
+        this.delivered = new Set(); // "wallet:signature" ya emitidas (no repetir tras reconectar)
+
+        const fixtures = this.loadFixtures();
+        this.transactions = new Map((fixtures.transactions || [])
+            .filter(tx => tx && tx.signature)
+            .map(tx => [tx.signature, tx]));
+        this.rawTransactions = new Map((fixtures.rawTransactions || [])
+            .filter(tx => tx && tx.transaction?.signatures?.[0])
+            .map(tx => [tx.transaction.signatures[0], tx]));
+        // Todas las transacciones en formato enhanced (las crudas vía el parser nativo) para firmas,
+        // estados y notificaciones; /v0/transactions solo devuelve las enriquecidas del fixture
+        this.chainTransactions = new Map(this.transactions);
+        this.rawTransactions.forEach((rawTx, signature) => {
+            const parsedTx = this.chainTransactions.has(signature) ? null : parseRawTransaction(rawTx, signature);
+            if (parsedTx) this.chainTransactions.set(signature, parsedTx);
+        });
+        this.assets = fixtures.assets || {};
+        this.accounts = fixtures.accounts || {}; // address -> { data (base64), owner, lamports }
+        this.notifications = fixtures.notifications || [];
+
+        mockLogger.info(`Loaded ${this.transactions.size} enhanced and ${this.rawTransactions.size} raw transaction(s), ` +
+            `${Object.keys(this.assets).length} asset(s) ` +
+            `and ${this.notifications.length} notification(s) from ${this.fixturesPath}`);
+    }
+
+    loadFixtures() {
+        if (!fs.existsSync(this.fixturesPath)) {
+            mockLogger.warn(`Fixtures not found at ${this.fixturesPath} - the mock chain is empty`);
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+        } catch (error) {
+            mockLogger.error(`Could not read fixtures from ${this.fixturesPath}`, error.message);
+            return {};
+        }
+    }
+
+    createSocket() {
+        return new MockSocket(this);
+    }
+
+    describe() {
+        return `mock (${path.basename(this.fixturesPath)})`;
+    }
+
+    // Como getSignaturesForAddress real: la dirección participa como wallet o como cuenta de una instrucción
+    involves(tx, address) {
+        return findTrackedWallets(tx, candidate => candidate === address).length > 0 ||
+            (tx.instructions || []).some(instruction => (instruction.accounts || []).includes(address));
+    }
+
+    // Notificaciones del fixture para la wallet (explícitas o, sin wallet, las de sus transacciones)
+    scheduleNotifications(socket, subscriptionId, wallet) {
+        this.notifications
+            .filter(notification => notification.wallet
+                ? notification.wallet === wallet
+                : this.chainTransactions.has(notification.signature) && this.involves(this.chainTransactions.get(notification.signature), wallet))
+            .forEach(notification => {
+                const key = `${wallet}:${notification.signature}`;
+                if (this.delivered.has(key)) return;
+
+                socket.schedule(() => {
+                    if (socket.subscriptions.get(subscriptionId) !== wallet) return;
+                    this.delivered.add(key);
+                    socket.deliver({
+                        jsonrpc: '2.0',
+                        method: 'logsNotification',
+                        params: {
+                            subscription: subscriptionId,
+                            result: {
+                                context: { slot: this.chainTransactions.get(notification.signature)?.slot || 0 },
+                                value: { signature: notification.signature, err: null, logs: [] }
+                            }
+                        }
+                    });
+                }, notification.delayMs || 0);
+            });
+    }
+
+    async rpc(method, params) {
+        switch (method) {
+            case 'getSignaturesForAddress': {
+                const [wallet, { limit = 10, until = null } = {}] = params;
+                const signatures = Array.from(this.chainTransactions.values())
+                    .filter(tx => this.involves(tx, wallet))
+                    .sort((a, b) => (b.slot || b.timestamp || 0) - (a.slot || a.timestamp || 0));
+                const untilIndex = until ? signatures.findIndex(tx => tx.signature === until) : -1;
+
+                return (untilIndex === -1 ? signatures : signatures.slice(0, untilIndex))
+                    .slice(0, limit)
+                    .map(tx => ({
+                        signature: tx.signature,
+                        slot: tx.slot || 0,
+                        blockTime: tx.timestamp || null,
+                        err: null,
+                        confirmationStatus: 'finalized'
+                    }));
+            }
+            case 'getSignatureStatuses':
+                return {
+                    context: { slot: 0 },
+                    value: params[0].map(signature => this.chainTransactions.has(signature)
+                        ? { slot: this.chainTransactions.get(signature).slot || 0, confirmations: null, err: null, confirmationStatus: 'finalized' }
+                        : null)
+                };
+            case 'getAccountInfo': {
+                const account = this.accounts[params[0]];
+                return {
+                    context: { slot: 0 },
+                    value: account
+                        ? { data: [account.data, 'base64'], owner: account.owner || null, lamports: account.lamports || 0, executable: false }
+                        : null
+                };
+            }
+            case 'getTransaction':
+                return this.rawTransactions.get(params[0]) || null;
+            case 'getHealth':
+                return 'ok';
+            default:
+                throw new Error(`Mock provider does not implement ${method}`);
+        }
+    }
+
+    async fetchEnhancedTransactions(signatures) {
+        return signatures.map(signature => this.transactions.get(signature)).filter(Boolean);
+    }
+
+    async fetchAssets(mints) {
+        return mints.map(mint => {
+            const asset = this.assets[mint];
+            if (!asset) return null;
+
+            return {
+                id: mint,
+                content: {
+                    metadata: { symbol: asset.symbol, name: asset.name || null },
+                    links: { image: asset.image || null }
+                },
+                token_info: { price_info: { price_per_token: asset.priceUsd || null } }
+            };
+        });
+    }
+}
+
+module.exports = {
+    MockProvider,
+    MockSocket
+};
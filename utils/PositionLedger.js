@@ -0,0 +1,213 @@
+// Ledger de posiciones por wallet y por mint para VoltsTrack Bot
+// Se alimenta de los swaps procesados (BUY/SELL con valor en SOL) y calcula
+// precio medio de entrada (coste medio) y PnL realizado en cada venta
+
+const { createLogger } = require('./Logger');
+
+const ledgerLogger = createLogger('LEDGER');
+
+const MAX_CLOSED_POSITIONS = 50; // Posiciones cerradas que se conservan por wallet
+const QUANTITY_EPSILON = 1e-9;
+
+class PositionLedger {
+    constructor(storage, namespace = 'positions') {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.positions = new Map(); // wallet -> Map(mint -> position)
+        this.saveTimeout = null;
+
+        this.load();
+    }
+
+    load() {
+        const state = this.storage.read(this.namespace, {});
+
+        Object.entries(state).forEach(([wallet, positions]) => {
+            this.positions.set(wallet, new Map(Object.entries(positions)));
+        });
+
+        ledgerLogger.info(`Loaded positions for ${this.positions.size} wallet(s)`);
+    }
+
+    save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        const state = {};
+        this.positions.forEach((positions, wallet) => {
+            state[wallet] = Object.fromEntries(positions);
+        });
+        this.storage.write(this.namespace, state);
+    }
+
+    // Los swaps llegan en ráfagas: agrupar escrituras
+    scheduleSave(delay = 5000) {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, delay);
+    }
+
+    getPosition(wallet, mint) {
+        return this.positions.get(wallet)?.get(mint) || null;
+    }
+
+    createPosition(mint, symbol, timestamp) {
+        return {
+            mint,
+            symbol,
+            quantity: 0,        // Tokens en posesión
+            costSol: 0,         // Coste (SOL) de los tokens en posesión
+            boughtSol: 0,
+            soldSol: 0,
+            realizedPnlSol: 0,
+            buys: 0,
+            sells: 0,
+            openedAt: timestamp,
+            updatedAt: timestamp,
+            closedAt: null
+        };
+    }
+
+    // Registrar un swap; devuelve el resultado de la operación para la notificación
+    recordTrade({ wallet, mint, symbol, direction, tokenAmount, solAmount, timestamp = new Date().toISOString() }) {
+        if (!wallet || !mint || (direction !== 'BUY' && direction !== 'SELL')) return null;
+        if (!(tokenAmount > 0) || typeof solAmount !== 'number' || !(solAmount >= 0)) return null;
+
+        if (!this.positions.has(wallet)) {
+            this.positions.set(wallet, new Map());
+        }
+        const walletPositions = this.positions.get(wallet);
+        let position = walletPositions.get(mint);
+
+        if (!position) {
+            position = this.createPosition(mint, symbol, timestamp);
+            walletPositions.set(mint, position);
+        }
+        position.symbol = symbol || position.symbol;
+        position.updatedAt = timestamp;
+
+        let result;
+        if (direction === 'BUY') {
+            // Reabrir una posición cerrada (se guarda el cierre anterior por si el trade se revierte)
+            let reopened = null;
+            if (position.quantity === 0 && position.closedAt) {
+                reopened = { openedAt: position.openedAt, closedAt: position.closedAt };
+                position.openedAt = timestamp;
+                position.closedAt = null;
+            }
+            position.quantity += tokenAmount;
+            position.costSol += solAmount;
+            position.boughtSol += solAmount;
+            position.buys++;
+
+            result = {
+                direction,
+                avgEntrySol: position.costSol / position.quantity,
+                remainingQuantity: position.quantity,
+                reopened
+            };
+        } else {
+            // Solo la parte comprada mientras se rastreaba tiene precio de entrada conocido
+            const avgEntrySol = position.quantity > 0 ? position.costSol / position.quantity : null;
+            const matchedQuantity = Math.min(tokenAmount, position.quantity);
+            const matchedProceeds = solAmount * (matchedQuantity / tokenAmount);
+            const matchedCost = avgEntrySol !== null ? avgEntrySol * matchedQuantity : 0;
+            const realizedPnlSol = matchedQuantity > 0 ? matchedProceeds - matchedCost : null;
+
+            position.quantity -= matchedQuantity;
+            position.costSol -= matchedCost;
+            position.soldSol += solAmount;
+            position.sells++;
+            if (realizedPnlSol !== null) {
+                position.realizedPnlSol += realizedPnlSol;
+            }
+            if (position.quantity <= QUANTITY_EPSILON * Math.max(1, tokenAmount)) {
+                position.quantity = 0;
+                position.costSol = 0;
+                position.closedAt = timestamp;
+            }
+
+            result = {
+                direction,
+                avgEntrySol,
+                realizedPnlSol,
+                realizedPnlPct: realizedPnlSol !== null && matchedCost > 0 ? (realizedPnlSol / matchedCost) * 100 : null,
+                remainingQuantity: position.quantity,
+                unmatchedQuantity: tokenAmount - matchedQuantity,
+                positionClosed: position.quantity === 0
+            };
+        }
+
+        this.pruneClosedPositions(walletPositions);
+        this.scheduleSave();
+        return result;
+    }
+
+    // Deshacer un trade que nunca llegó a ser final (alerta temprana descartada).
+    // trade son los mismos datos pasados a recordTrade y result lo que devolvió
+    revertTrade({ wallet, mint, direction, tokenAmount, solAmount }, result) {
+        const position = this.getPosition(wallet, mint);
+        if (!position || !result) return false;
+
+        if (direction === 'BUY') {
+            position.quantity = Math.max(0, position.quantity - tokenAmount);
+            position.costSol = position.quantity > 0 ? Math.max(0, position.costSol - solAmount) : 0;
+            position.boughtSol -= solAmount;
+            position.buys--;
+            // La compra había reabierto una posición cerrada: vuelve a quedar cerrada
+            if (result.reopened && position.quantity === 0) {
+                position.openedAt = result.reopened.openedAt;
+                position.closedAt = result.reopened.closedAt;
+            }
+        } else {
+            const matchedQuantity = tokenAmount - (result.unmatchedQuantity || 0);
+            position.quantity += matchedQuantity;
+            position.costSol += (result.avgEntrySol || 0) * matchedQuantity;
+            position.soldSol -= solAmount;
+            position.sells--;
+            position.realizedPnlSol -= result.realizedPnlSol || 0;
+            if (position.quantity > 0) position.closedAt = null;
+        }
+
+        // Posición creada solo por este trade: eliminarla
+        if (position.buys <= 0 && position.sells <= 0) {
+            this.positions.get(wallet).delete(mint);
+        }
+
+        this.scheduleSave();
+        return true;
+    }
+
+    pruneClosedPositions(walletPositions) {
+        const closed = Array.from(walletPositions.values())
+            .filter(position => position.quantity === 0 && position.closedAt)
+            .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+
+        closed.slice(MAX_CLOSED_POSITIONS).forEach(position => walletPositions.delete(position.mint));
+    }
+
+    // Posiciones abiertas y cerradas de una wallet (para /pnl)
+    getWalletSummary(wallet) {
+        const positions = Array.from(this.positions.get(wallet)?.values() || []);
+        const open = positions.filter(position => position.quantity > 0)
+            .sort((a, b) => b.costSol - a.costSol);
+        const closed = positions.filter(position => position.quantity === 0 && position.buys > 0)
+            .sort((a, b) => new Date(b.closedAt || b.updatedAt) - new Date(a.closedAt || a.updatedAt));
+
+        return {
+            open,
+            closed,
+            realizedPnlSol: positions.reduce((sum, position) => sum + position.realizedPnlSol, 0),
+            openCostSol: open.reduce((sum, position) => sum + position.costSol, 0)
+        };
+    }
+}
+
+module.exports = {
+    PositionLedger
+};
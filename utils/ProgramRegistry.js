@@ -0,0 +1,80 @@
+// Registro de programas de Solana para VoltsTrack Bot
+// Traduce program IDs al venue (DEX / launchpad) donde ocurrió un swap
+
+// Venues que el usuario puede filtrar (/filter venue)
+const VENUES = {
+    raydium: { name: 'Raydium' },
+    orca: { name: 'Orca' },
+    meteora: { name: 'Meteora' },
+    jupiter: { name: 'Jupiter' },
+    pumpfun: { name: 'Pump.fun' },
+    pumpswap: { name: 'PumpSwap' }
+};
+
+// Program ID -> venue y nombre del programa concreto (venue null: programas de sistema y token)
+const PROGRAM_REGISTRY = {
+    '11111111111111111111111111111111': { venue: null, name: 'System Program' },
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA': { venue: null, name: 'SPL Token' },
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb': { venue: null, name: 'Token 2022' },
+    'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL': { venue: null, name: 'Associated Token Account' },
+    'ComputeBudget111111111111111111111111111111': { venue: null, name: 'Compute Budget' },
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { venue: 'raydium', name: 'Raydium AMM' },
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { venue: 'raydium', name: 'Raydium CLMM' },
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': { venue: 'raydium', name: 'Raydium CPMM' },
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': { venue: 'orca', name: 'Orca Whirlpool' },
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': { venue: 'meteora', name: 'Meteora DLMM' },
+    'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': { venue: 'meteora', name: 'Meteora Pools' },
+    'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': { venue: 'meteora', name: 'Meteora DAMM v2' },
+    'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN': { venue: 'meteora', name: 'Meteora DBC' },
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': { venue: 'jupiter', name: 'Jupiter' },
+    'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': { venue: 'jupiter', name: 'Jupiter v4' },
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { venue: 'pumpfun', name: 'Pump.fun' },
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': { venue: 'pumpswap', name: 'PumpSwap' }
+};
+
+// Campo source de Helius -> venue (cuando las instrucciones no lo identifican)
+const HELIUS_SOURCE_VENUES = {
+    RAYDIUM: 'raydium',
+    ORCA: 'orca',
+    WHIRLPOOL: 'orca',
+    METEORA: 'meteora',
+    JUPITER: 'jupiter',
+    PUMP_FUN: 'pumpfun',
+    PUMP_AMM: 'pumpswap'
+};
+
+// Program IDs en orden de ejecución: cada instrucción externa seguida de sus internas
+const getProgramIds = (enhancedTx) => (enhancedTx.instructions || []).flatMap(instruction => [
+    instruction.programId,
+    ...(instruction.innerInstructions || []).map(inner => inner.programId)
+]).filter(Boolean);
+
+// Venue de una transacción: el primer programa registrado que se ejecuta (un agregador que
+// enruta por varios pools gana a los pools); si no, cuentas de la transacción y source de Helius.
+// Devuelve { venue, name, programId } o null
+const identifyVenue = (enhancedTx) => {
+    if (!enhancedTx) return null;
+
+    const isVenueProgram = (id) => Boolean(PROGRAM_REGISTRY[id]?.venue);
+    const programId = getProgramIds(enhancedTx).find(isVenueProgram) ||
+        (enhancedTx.accountData || []).map(account => account.account).find(isVenueProgram);
+    if (programId) {
+        return { ...PROGRAM_REGISTRY[programId], programId };
+    }
+
+    const venue = HELIUS_SOURCE_VENUES[(enhancedTx.source || '').toUpperCase()];
+    return venue ? { venue, name: VENUES[venue].name, programId: null } : null;
+};
+
+// "pump.fun", "Raydium" o "pumpfun" -> clave de venue (null si no existe)
+const normalizeVenue = (value) => {
+    const key = value.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    return VENUES[key] ? key : null;
+};
+
+module.exports = {
+    VENUES,
+    PROGRAM_REGISTRY,
+    identifyVenue,
+    normalizeVenue
+};
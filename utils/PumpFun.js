@@ -0,0 +1,99 @@
+// Bonding curve de Pump.fun para VoltsTrack Bot
+// Localiza la cuenta de la curva en las instrucciones del programa y decodifica su estado:
+// reservas, progreso hasta la graduación, si ya se completó y quién creó el token
+
+const { PROGRAM_REGISTRY } = require('./ProgramRegistry');
+
+const PUMP_FUN_PROGRAM = Object.keys(PROGRAM_REGISTRY).find(programId => PROGRAM_REGISTRY[programId].venue === 'pumpfun');
+
+// Reservas reales de tokens al crear la curva (793.1M tokens con 6 decimales): 0% de progreso
+const INITIAL_REAL_TOKEN_RESERVES = 793100000000000n;
+
+// Layout de la cuenta BondingCurve (tras el discriminador de 8 bytes)
+const CURVE_LAYOUT = {
+    virtualTokenReserves: 8,
+    virtualSolReserves: 16,
+    realTokenReserves: 24,
+    realSolReserves: 32,
+    tokenTotalSupply: 40,
+    complete: 48,
+    creator: 49
+};
+const CURVE_MIN_SIZE = CURVE_LAYOUT.complete + 1;
+const PUBKEY_SIZE = 32;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const toBase58 = (bytes) => {
+    let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+};
+
+// Mints cuyo balance cambia en la transacción
+const getTradedMints = (enhancedTx) => new Set([
+    ...(enhancedTx.accountData || []).flatMap(account => (account.tokenBalanceChanges || []).map(change => change.mint)),
+    ...(enhancedTx.tokenTransfers || []).map(transfer => transfer.mint)
+]);
+
+// Cuentas de la primera instrucción buy/sell de Pump.fun (externa o interna, p.ej. vía un router)
+// buy/sell: [global, feeRecipient, mint, bondingCurve, ...]. En create la tercera cuenta es la curva
+// ([mint, mintAuthority, bondingCurve, ...]): solo vale si accounts[2] es un mint negociado en la transacción.
+// null si no hay instrucción de compra/venta de Pump.fun
+const findBondingCurve = (enhancedTx) => {
+    const tradedMints = getTradedMints(enhancedTx);
+    const instruction = (enhancedTx.instructions || [])
+        .flatMap(outer => [outer, ...(outer.innerInstructions || [])])
+        .find(candidate => candidate.programId === PUMP_FUN_PROGRAM &&
+            (candidate.accounts || []).length > 3 && tradedMints.has(candidate.accounts[2]));
+    if (!instruction) return null;
+
+    return { mint: instruction.accounts[2], bondingCurve: instruction.accounts[3] };
+};
+
+// Las curvas antiguas no guardan el creador (cuenta más corta o clave a ceros)
+const decodeCreator = (buffer) => {
+    if (buffer.length < CURVE_LAYOUT.creator + PUBKEY_SIZE) return null;
+    const creator = buffer.subarray(CURVE_LAYOUT.creator, CURVE_LAYOUT.creator + PUBKEY_SIZE);
+    return creator.some(byte => byte !== 0) ? toBase58(creator) : null;
+};
+
+// Datos de la cuenta (base64) -> estado de la curva; null si no tiene el tamaño esperado
+const decodeBondingCurve = (data) => {
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length < CURVE_MIN_SIZE) return null;
+
+    const realTokenReserves = buffer.readBigUInt64LE(CURVE_LAYOUT.realTokenReserves);
+    const complete = buffer[CURVE_LAYOUT.complete] === 1;
+    // Progreso = parte de las reservas iniciales ya vendida (en centésimas de % para no perder precisión)
+    const remaining = realTokenReserves > INITIAL_REAL_TOKEN_RESERVES ? INITIAL_REAL_TOKEN_RESERVES : realTokenReserves;
+    const progress = complete
+        ? 100
+        : Number((INITIAL_REAL_TOKEN_RESERVES - remaining) * 10000n / INITIAL_REAL_TOKEN_RESERVES) / 100;
+
+    return {
+        virtualTokenReserves: buffer.readBigUInt64LE(CURVE_LAYOUT.virtualTokenReserves).toString(),
+        virtualSolReserves: buffer.readBigUInt64LE(CURVE_LAYOUT.virtualSolReserves).toString(),
+        realTokenReserves: realTokenReserves.toString(),
+        realSolReserves: buffer.readBigUInt64LE(CURVE_LAYOUT.realSolReserves).toString(),
+        tokenTotalSupply: buffer.readBigUInt64LE(CURVE_LAYOUT.tokenTotalSupply).toString(),
+        complete,
+        progress,
+        creator: decodeCreator(buffer)
+    };
+};
+
+module.exports = {
+    PUMP_FUN_PROGRAM,
+    INITIAL_REAL_TOKEN_RESERVES,
+    findBondingCurve,
+    decodeBondingCurve
+};
@@ -0,0 +1,202 @@
+// Parser nativo de transacciones Solana (getTransaction con encoding jsonParsed)
+// Convierte la transacción cruda al mismo formato que Helius Enhanced Transactions
+// (accountData, nativeTransfers, tokenTransfers, instructions) para reutilizar
+// SwapDecoder y EventParsers sin la API /v0/transactions
+
+const { decodeSwap } = require('./SwapDecoder');
+
+const TOKEN_PROGRAMS = ['spl-token', 'spl-token-2022'];
+
+const toUiAmount = (rawAmount, decimals) => (Number(rawAmount) || 0) / Math.pow(10, Number(decimals) || 0);
+
+// Claves de cuenta (jsonParsed: objetos { pubkey, signer, writable }; incluye las de lookup tables)
+const getAccountKeys = (rawTx) => (rawTx.transaction?.message?.accountKeys || [])
+    .map(key => typeof key === 'string' ? key : key.pubkey);
+
+// Cuenta de token -> { owner, mint, decimals } desde los balances de token antes/después
+const getTokenAccounts = (rawTx, accountKeys) => {
+    const tokenAccounts = new Map();
+    [...(rawTx.meta?.preTokenBalances || []), ...(rawTx.meta?.postTokenBalances || [])].forEach(balance => {
+        const address = accountKeys[balance.accountIndex];
+        if (address && !tokenAccounts.has(address)) {
+            tokenAccounts.set(address, {
+                owner: balance.owner || null,
+                mint: balance.mint,
+                decimals: balance.uiTokenAmount?.decimals || 0
+            });
+        }
+    });
+    return tokenAccounts;
+};
+
+// Instrucciones en orden de ejecución: cada instrucción externa seguida de sus internas
+const flattenInstructions = (rawTx) => {
+    const inner = new Map((rawTx.meta?.innerInstructions || []).map(entry => [entry.index, entry.instructions || []]));
+    return (rawTx.transaction?.message?.instructions || [])
+        .flatMap((instruction, index) => [instruction, ...(inner.get(index) || [])]);
+};
+
+// accountData al estilo Helius: cambio de lamports por cuenta y cambios de token en la cuenta de token
+const buildAccountData = (rawTx, accountKeys) => {
+    const preBalances = rawTx.meta?.preBalances || [];
+    const postBalances = rawTx.meta?.postBalances || [];
+    const accountData = accountKeys.map((account, index) => ({
+        account,
+        nativeBalanceChange: (Number(postBalances[index]) || 0) - (Number(preBalances[index]) || 0),
+        tokenBalanceChanges: []
+    }));
+
+    // Delta bruto por cuenta de token (una cuenta creada o cerrada solo aparece en uno de los lados)
+    const tokenDeltas = new Map();
+    const addBalance = (balance, sign) => {
+        const entry = tokenDeltas.get(balance.accountIndex) || {
+            owner: balance.owner || null,
+            mint: balance.mint,
+            decimals: balance.uiTokenAmount?.decimals || 0,
+            amount: 0n
+        };
+        entry.amount += BigInt(balance.uiTokenAmount?.amount || '0') * sign;
+        tokenDeltas.set(balance.accountIndex, entry);
+    };
+    (rawTx.meta?.preTokenBalances || []).forEach(balance => addBalance(balance, -1n));
+    (rawTx.meta?.postTokenBalances || []).forEach(balance => addBalance(balance, 1n));
+
+    tokenDeltas.forEach((delta, accountIndex) => {
+        if (delta.amount === 0n || !accountData[accountIndex]) return;
+        accountData[accountIndex].tokenBalanceChanges.push({
+            userAccount: delta.owner,
+            tokenAccount: accountKeys[accountIndex],
+            mint: delta.mint,
+            rawTokenAmount: { tokenAmount: delta.amount.toString(), decimals: delta.decimals }
+        });
+    });
+
+    return accountData;
+};
+
+// Transferencias de SOL y tokens desde las instrucciones parseadas (system y spl-token)
+// Contraparte = dueño de la otra cuenta; mint y burn llevan la cuenta vacía como en Helius
+const buildTransfers = (instructions, tokenAccounts) => {
+    const nativeTransfers = [];
+    const tokenTransfers = [];
+    const ownerOf = (tokenAccount) => tokenAccounts.get(tokenAccount)?.owner || null;
+
+    instructions.forEach(instruction => {
+        const { type, info } = instruction.parsed || {};
+        if (!type || !info) return;
+
+        if (instruction.program === 'system' && (type === 'transfer' || type === 'transferWithSeed')) {
+            nativeTransfers.push({
+                fromUserAccount: info.source,
+                toUserAccount: info.destination,
+                amount: Number(info.lamports) || 0
+            });
+            return;
+        }
+        if (!TOKEN_PROGRAMS.includes(instruction.program)) return;
+
+        const account = tokenAccounts.get(info.source || info.account || info.destination) || {};
+        const mint = info.mint || account.mint || tokenAccounts.get(info.destination)?.mint;
+        const decimals = info.tokenAmount?.decimals ?? info.decimals ?? account.decimals ?? tokenAccounts.get(info.destination)?.decimals;
+        const amount = info.tokenAmount ? Number(info.tokenAmount.uiAmountString ?? info.tokenAmount.uiAmount) : toUiAmount(info.amount, decimals);
+        if (!mint) return;
+
+        if (type === 'transfer' || type === 'transferChecked') {
+            tokenTransfers.push({
+                fromUserAccount: ownerOf(info.source) || info.authority || info.multisigAuthority || null,
+                toUserAccount: ownerOf(info.destination),
+                fromTokenAccount: info.source,
+                toTokenAccount: info.destination,
+                mint,
+                tokenAmount: amount
+            });
+        } else if (type === 'burn' || type === 'burnChecked') {
+            tokenTransfers.push({
+                fromUserAccount: ownerOf(info.account) || info.authority || null,
+                toUserAccount: '',
+                fromTokenAccount: info.account,
+                toTokenAccount: '',
+                mint,
+                tokenAmount: amount
+            });
+        } else if (type === 'mintTo' || type === 'mintToChecked') {
+            tokenTransfers.push({
+                fromUserAccount: '',
+                toUserAccount: ownerOf(info.account),
+                fromTokenAccount: '',
+                toTokenAccount: info.account,
+                mint,
+                tokenAmount: amount
+            });
+        }
+    });
+
+    return { nativeTransfers, tokenTransfers };
+};
+
+// Tipo al estilo Helius a partir de los deltas: SWAP si alguna wallet cambia un activo por otro,
+// BURN/TRANSFER según las instrucciones de token y sistema, UNKNOWN en otro caso
+const classifyRawTransaction = (enhancedTx, instructions) => {
+    if (enhancedTx.transactionError) return 'UNKNOWN';
+
+    const owners = new Set([
+        enhancedTx.feePayer,
+        ...enhancedTx.accountData.flatMap(account => account.tokenBalanceChanges.map(change => change.userAccount))
+    ].filter(Boolean));
+    for (const owner of owners) {
+        if (decodeSwap(enhancedTx, owner)) return 'SWAP';
+    }
+
+    const tokenTypes = instructions
+        .filter(instruction => TOKEN_PROGRAMS.includes(instruction.program))
+        .map(instruction => instruction.parsed?.type);
+    if (tokenTypes.some(type => type === 'burn' || type === 'burnChecked')) return 'BURN';
+    if (enhancedTx.tokenTransfers.some(transfer => transfer.fromUserAccount && transfer.toUserAccount) ||
+        enhancedTx.nativeTransfers.some(transfer => transfer.amount > 0)) {
+        return 'TRANSFER';
+    }
+    return 'UNKNOWN';
+};
+
+// getTransaction (jsonParsed, maxSupportedTransactionVersion 0) -> transacción en formato enhanced
+// null si la transacción no existe todavía o no trae meta
+const parseRawTransaction = (rawTx, signature = null) => {
+    if (!rawTx || !rawTx.meta || !rawTx.transaction) return null;
+
+    const accountKeys = getAccountKeys(rawTx);
+    const tokenAccounts = getTokenAccounts(rawTx, accountKeys);
+    const instructions = flattenInstructions(rawTx);
+    const { nativeTransfers, tokenTransfers } = buildTransfers(instructions, tokenAccounts);
+    const inner = new Map((rawTx.meta.innerInstructions || []).map(entry => [entry.index, entry.instructions || []]));
+    const toInstruction = (instruction) => ({
+        programId: instruction.programId,
+        accounts: instruction.accounts || [],
+        data: instruction.data || null
+    });
+
+    const enhancedTx = {
+        signature: signature || rawTx.transaction.signatures?.[0] || null,
+        slot: rawTx.slot,
+        timestamp: rawTx.blockTime || null,
+        fee: Number(rawTx.meta.fee) || 0,
+        feePayer: accountKeys[0] || null,
+        transactionError: rawTx.meta.err || null,
+        accountData: buildAccountData(rawTx, accountKeys),
+        nativeTransfers,
+        tokenTransfers,
+        // Mismo formato que las instrucciones de Helius (las parseadas no llevan accounts/data)
+        instructions: (rawTx.transaction.message.instructions || []).map((instruction, index) => ({
+            ...toInstruction(instruction),
+            innerInstructions: (inner.get(index) || []).map(toInstruction)
+        })),
+        events: {},
+        parsedFromRaw: true
+    };
+    enhancedTx.type = classifyRawTransaction(enhancedTx, instructions);
+
+    return enhancedTx;
+};
+
+module.exports = {
+    parseRawTransaction
+};
@@ -0,0 +1,47 @@
+// Reintentos con backoff exponencial y jitter para las llamadas a Helius
+// Evita que un timeout puntual (o una firma aún no indexada) haga perder una transacción
+
+const RETRY_ATTEMPTS = parseInt(process.env.FETCH_RETRY_ATTEMPTS) || 4;
+const RETRY_BASE_DELAY = parseInt(process.env.FETCH_RETRY_BASE_DELAY) || 1000;
+const RETRY_MAX_DELAY = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Espera antes del reintento número attempt (0 = primer reintento): la mitad fija y la otra mitad aleatoria
+const backoffDelay = (attempt, baseDelay = RETRY_BASE_DELAY, maxDelay = RETRY_MAX_DELAY) => {
+    const cap = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(cap / 2 + Math.random() * (cap / 2));
+};
+
+// Ejecutar operation(attempt) hasta `attempts` veces mientras shouldRetry(error) lo permita.
+// Lanza el último error si se agotan los intentos
+const retryWithBackoff = async (operation, {
+    attempts = RETRY_ATTEMPTS,
+    baseDelay = RETRY_BASE_DELAY,
+    maxDelay = RETRY_MAX_DELAY,
+    shouldRetry = () => true,
+    onRetry = null
+} = {}) => {
+    let lastError = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            lastError = error;
+            if (attempt === attempts - 1 || !shouldRetry(error)) break;
+
+            const delay = backoffDelay(attempt, baseDelay, maxDelay);
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+
+    throw lastError;
+};
+
+module.exports = {
+    RETRY_ATTEMPTS,
+    backoffDelay,
+    retryWithBackoff
+};
@@ -0,0 +1,48 @@
+// Caché acotada de firmas ya vistas, con ventana de tiempo, para VoltsTrack Bot
+// Evita procesar (o notificar) dos veces la misma firma: varias suscripciones
+// que reciben el mismo swap o logs repetidos tras una reconexión
+
+const DEFAULT_TTL = parseInt(process.env.SIGNATURE_CACHE_TTL) || 600000; // 10 minutos
+const DEFAULT_MAX_SIZE = parseInt(process.env.SIGNATURE_CACHE_SIZE) || 5000;
+
+class SignatureCache {
+    constructor({ ttl = DEFAULT_TTL, maxSize = DEFAULT_MAX_SIZE } = {}) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.entries = new Map(); // key -> seenAt (orden de inserción = más antigua primero)
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Todas las entradas tienen el mismo TTL: las caducadas están siempre al principio
+    prune(now = Date.now()) {
+        for (const [key, seenAt] of this.entries) {
+            if (now - seenAt < this.ttl) break;
+            this.entries.delete(key);
+        }
+    }
+
+    has(key) {
+        this.prune();
+        return this.entries.has(key);
+    }
+
+    // Registrar una clave; devuelve false si ya se había visto dentro de la ventana
+    markSeen(key) {
+        const now = Date.now();
+        this.prune(now);
+        if (this.entries.has(key)) return false;
+
+        this.entries.set(key, now);
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return true;
+    }
+}
+
+module.exports = {
+    SignatureCache
+};
@@ -0,0 +1,91 @@
+// Sistema de almacenamiento persistente para VoltsTrack Bot
+// Backends intercambiables: archivo JSON local (por defecto) o memoria volátil
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./Logger');
+
+const storageLogger = createLogger('STORAGE');
+
+// Backend en memoria (útil para desarrollo o cuando no se desea persistir)
+class MemoryStorage {
+    constructor() {
+        this.type = 'memory';
+        this.namespaces = new Map();
+    }
+
+    read(namespace, fallback = null) {
+        if (!this.namespaces.has(namespace)) {
+            return fallback;
+        }
+        return JSON.parse(this.namespaces.get(namespace));
+    }
+
+    write(namespace, data) {
+        this.namespaces.set(namespace, JSON.stringify(data));
+        return true;
+    }
+}
+
+// Backend de archivos: un documento JSON por namespace dentro de DATA_DIR
+class FileStorage {
+    constructor(dataDir = process.env.DATA_DIR || './data') {
+        this.type = 'file';
+        this.dataDir = path.resolve(dataDir);
+    }
+
+    getFilePath(namespace) {
+        return path.join(this.dataDir, `${namespace}.json`);
+    }
+
+    read(namespace, fallback = null) {
+        const filePath = this.getFilePath(namespace);
+
+        if (!fs.existsSync(filePath)) {
+            return fallback;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            storageLogger.error(`Could not read ${namespace} from ${filePath}`, error.message);
+            return fallback;
+        }
+    }
+
+    write(namespace, data) {
+        const filePath = this.getFilePath(namespace);
+        const tempPath = `${filePath}.tmp`;
+
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            // Escritura atómica: archivo temporal + rename para no corromper el estado si el proceso muere
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, filePath);
+            return true;
+        } catch (error) {
+            storageLogger.error(`Could not write ${namespace} to ${filePath}`, error.message);
+            return false;
+        }
+    }
+}
+
+// Crear el backend configurado (STORAGE_BACKEND=file|memory)
+const createStorage = (type = process.env.STORAGE_BACKEND || 'file') => {
+    switch (type.toLowerCase()) {
+        case 'memory':
+            storageLogger.warn('Using in-memory storage - state will be lost on restart');
+            return new MemoryStorage();
+        case 'file':
+            return new FileStorage();
+        default:
+            storageLogger.warn(`Unknown storage backend "${type}", falling back to file storage`);
+            return new FileStorage();
+    }
+};
+
+module.exports = {
+    FileStorage,
+    MemoryStorage,
+    createStorage
+};
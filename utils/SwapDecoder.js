@@ -0,0 +1,166 @@
+// Decodificador genérico de swaps para VoltsTrack Bot
+// Calcula el cambio neto de balance por mint de la wallet rastreada e identifica
+// el token de entrada y de salida (SOL↔token, stablecoin↔token y token↔token)
+
+const { LAMPORTS_PER_SOL, WSOL_MINT } = require('./EventParsers');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCE8BenwNYB';
+const PYUSD_MINT = '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo';
+
+// Stablecoins: su cantidad equivale a su valor en USD
+const STABLECOINS = {
+    [USDC_MINT]: 'USDC',
+    [USDT_MINT]: 'USDT',
+    [PYUSD_MINT]: 'PYUSD'
+};
+
+const BALANCE_EPSILON = 1e-9;
+
+const isStablecoin = (mint) => Boolean(STABLECOINS[mint]);
+const isQuoteMint = (mint) => mint === WSOL_MINT || isStablecoin(mint);
+
+const addChange = (changes, mint, delta) => {
+    changes.set(mint, (changes.get(mint) || 0) + delta);
+};
+
+// Cambios netos desde accountData (balances reales antes/después de la transacción)
+const changesFromAccountData = (enhancedTx, wallet) => {
+    const changes = new Map();
+
+    (enhancedTx.accountData || []).forEach(account => {
+        if (account.account === wallet && account.nativeBalanceChange) {
+            let lamports = Number(account.nativeBalanceChange) || 0;
+            // La fee de red no forma parte del swap
+            if (enhancedTx.feePayer === wallet && enhancedTx.fee) {
+                lamports += Number(enhancedTx.fee) || 0;
+            }
+            addChange(changes, WSOL_MINT, lamports / LAMPORTS_PER_SOL);
+        }
+
+        (account.tokenBalanceChanges || []).forEach(change => {
+            if (change.userAccount !== wallet || !change.rawTokenAmount) return;
+            const decimals = Number(change.rawTokenAmount.decimals) || 0;
+            addChange(changes, change.mint, Number(change.rawTokenAmount.tokenAmount) / Math.pow(10, decimals));
+        });
+    });
+
+    return changes;
+};
+
+// Fallback: cambios netos desde tokenTransfers/nativeTransfers
+const changesFromTransfers = (enhancedTx, wallet) => {
+    const changes = new Map();
+    let hasWrappedSol = false;
+
+    (enhancedTx.tokenTransfers || []).forEach(transfer => {
+        const amount = Number(transfer.tokenAmount) || 0;
+        if (transfer.fromUserAccount === wallet && transfer.toUserAccount !== wallet) {
+            addChange(changes, transfer.mint, -amount);
+        } else if (transfer.toUserAccount === wallet && transfer.fromUserAccount !== wallet) {
+            addChange(changes, transfer.mint, amount);
+        } else {
+            return;
+        }
+        if (transfer.mint === WSOL_MINT) hasWrappedSol = true;
+    });
+
+    // Si el SOL se movió como WSOL, las transferencias nativas son wrap/unwrap: no contarlas dos veces
+    if (!hasWrappedSol) {
+        (enhancedTx.nativeTransfers || []).forEach(transfer => {
+            const amount = (Number(transfer.amount) || 0) / LAMPORTS_PER_SOL;
+            if (transfer.fromUserAccount === wallet && transfer.toUserAccount !== wallet) {
+                addChange(changes, WSOL_MINT, -amount);
+            } else if (transfer.toUserAccount === wallet && transfer.fromUserAccount !== wallet) {
+                addChange(changes, WSOL_MINT, amount);
+            }
+        });
+    }
+
+    return changes;
+};
+
+// Cambio neto de balance por mint (SOL nativo y WSOL se agrupan bajo WSOL_MINT)
+const getNetBalanceChanges = (enhancedTx, wallet) => {
+    const fromAccounts = changesFromAccountData(enhancedTx, wallet);
+    const hasTokenChanges = Array.from(fromAccounts.keys()).some(mint => mint !== WSOL_MINT);
+    const changes = hasTokenChanges ? fromAccounts : changesFromTransfers(enhancedTx, wallet);
+
+    changes.forEach((delta, mint) => {
+        if (Math.abs(delta) < BALANCE_EPSILON) changes.delete(mint);
+    });
+    return changes;
+};
+
+const largestLeg = (legs) => legs.reduce((max, leg) =>
+    (max === null || Math.abs(leg.amount) > Math.abs(max.amount)) ? leg : max, null);
+
+// Identificar entrada/salida de un swap para una wallet concreta
+const decodeSwap = (enhancedTx, wallet) => {
+    const changes = getNetBalanceChanges(enhancedTx, wallet);
+    const legs = Array.from(changes.entries()).map(([mint, amount]) => ({ mint, amount }));
+
+    const tokensOut = legs.filter(leg => leg.mint !== WSOL_MINT && leg.amount < 0);
+    const tokensIn = legs.filter(leg => leg.mint !== WSOL_MINT && leg.amount > 0);
+    const solLeg = legs.find(leg => leg.mint === WSOL_MINT);
+
+    let input = null;
+    let output = null;
+
+    if (tokensOut.length > 0 && tokensIn.length > 0) {
+        // token → token: el SOL restante son fees/rent
+        input = largestLeg(tokensOut);
+        output = largestLeg(tokensIn);
+    } else if (tokensIn.length > 0 && solLeg && solLeg.amount < 0) {
+        input = solLeg;
+        output = largestLeg(tokensIn);
+    } else if (tokensOut.length > 0 && solLeg && solLeg.amount > 0) {
+        input = largestLeg(tokensOut);
+        output = solLeg;
+    } else {
+        return null;
+    }
+
+    const inputIsQuote = isQuoteMint(input.mint);
+    const outputIsQuote = isQuoteMint(output.mint);
+    let direction = 'SWAP';
+    if (inputIsQuote && !outputIsQuote) direction = 'BUY';
+    if (!inputIsQuote && outputIsQuote) direction = 'SELL';
+
+    return {
+        wallet,
+        direction,
+        input: { mint: input.mint, amount: Math.abs(input.amount) },
+        output: { mint: output.mint, amount: Math.abs(output.amount) },
+        // Token "principal" del trade: el que no es quote (en token→token, el recibido)
+        baseMint: direction === 'SELL' ? input.mint : output.mint,
+        quoteMint: direction === 'SWAP' ? null : (direction === 'BUY' ? input.mint : output.mint)
+    };
+};
+
+// Wallets rastreadas que aparecen en la transacción (el firmante primero)
+const findTrackedWallets = (enhancedTx, isTracked) => {
+    const candidates = [
+        enhancedTx.feePayer,
+        ...(enhancedTx.accountData || []).flatMap(account => [
+            account.account,
+            ...(account.tokenBalanceChanges || []).map(change => change.userAccount)
+        ]),
+        enhancedTx.events?.nft?.buyer,
+        enhancedTx.events?.nft?.seller,
+        ...(enhancedTx.tokenTransfers || []).flatMap(transfer => [transfer.fromUserAccount, transfer.toUserAccount]),
+        ...(enhancedTx.nativeTransfers || []).flatMap(transfer => [transfer.fromUserAccount, transfer.toUserAccount])
+    ];
+    return Array.from(new Set(candidates.filter(wallet => wallet && isTracked(wallet))));
+};
+
+module.exports = {
+    USDC_MINT,
+    USDT_MINT,
+    STABLECOINS,
+    isStablecoin,
+    isQuoteMint,
+    getNetBalanceChanges,
+    decodeSwap,
+    findTrackedWallets
+};
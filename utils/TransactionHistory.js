@@ -0,0 +1,120 @@
+// Historial de transacciones aprobadas para VoltsTrack Bot
+// Guarda cada transactionData notificado, por wallet, para consultarlo con /history
+
+const { createLogger } = require('./Logger');
+
+const historyLogger = createLogger('HISTORY');
+
+const MAX_ENTRIES_PER_WALLET = parseInt(process.env.HISTORY_MAX_PER_WALLET) || 500;
+
+// Campos de un transactionData que se guardan en el historial (y se listan en /history)
+const toHistoryEntry = (transactionData) => ({
+    signature: transactionData.signature,
+    wallet: transactionData.wallet,
+    eventType: transactionData.eventType || 'SWAP',
+    direction: transactionData.buySell || transactionData.direction || transactionData.side || transactionData.action || null,
+    token: transactionData.token || null,
+    mintAddress: transactionData.mintAddress || null,
+    solAmount: typeof transactionData.solAmount === 'number' ? transactionData.solAmount : null,
+    tokenAmount: typeof transactionData.tokenAmount === 'number' ? transactionData.tokenAmount : null,
+    amount: transactionData.amount || null,
+    venue: transactionData.venueName || null,
+    timestamp: transactionData.timestamp || new Date().toISOString()
+});
+
+class TransactionHistory {
+    constructor(storage, namespace = 'history') {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.entries = new Map(); // wallet -> Array(entries), más reciente primero
+        this.saveTimeout = null;
+
+        this.load();
+    }
+
+    load() {
+        const state = this.storage.read(this.namespace, {});
+
+        Object.entries(state).forEach(([wallet, entries]) => {
+            if (Array.isArray(entries)) {
+                this.entries.set(wallet, entries.slice(0, MAX_ENTRIES_PER_WALLET));
+            }
+        });
+
+        historyLogger.info(`Loaded history for ${this.entries.size} wallet(s)`);
+    }
+
+    save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        this.storage.write(this.namespace, Object.fromEntries(this.entries));
+    }
+
+    scheduleSave(delay = 5000) {
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, delay);
+    }
+
+    // Guardar solo los campos necesarios para listar y filtrar
+    record(transactionData) {
+        if (!transactionData || !transactionData.wallet || !transactionData.signature) return;
+
+        const wallet = transactionData.wallet;
+        if (!this.entries.has(wallet)) {
+            this.entries.set(wallet, []);
+        }
+        const walletEntries = this.entries.get(wallet);
+
+        if (walletEntries.some(entry => entry.signature === transactionData.signature)) return;
+
+        walletEntries.unshift(toHistoryEntry(transactionData));
+        // Las entradas de backfill llegan con la hora del bloque: mantener el orden cronológico
+        if (transactionData.backfilled) {
+            walletEntries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
+
+        if (walletEntries.length > MAX_ENTRIES_PER_WALLET) {
+            walletEntries.length = MAX_ENTRIES_PER_WALLET;
+        }
+
+        this.scheduleSave();
+    }
+
+    // Quitar una entrada (transacción descartada antes de ser final)
+    remove(wallet, signature) {
+        const walletEntries = this.entries.get(wallet);
+        if (!walletEntries) return false;
+
+        const index = walletEntries.findIndex(entry => entry.signature === signature);
+        if (index === -1) return false;
+
+        walletEntries.splice(index, 1);
+        this.scheduleSave();
+        return true;
+    }
+
+    // Entradas de varias wallets, más recientes primero, con filtros opcionales
+    query(wallets, { token = null, direction = null } = {}) {
+        const normalizedToken = token ? token.replace(/^\$/, '').toUpperCase() : null;
+
+        return wallets
+            .flatMap(wallet => this.entries.get(wallet) || [])
+            .filter(entry => !direction || entry.direction === direction)
+            .filter(entry => !normalizedToken ||
+                (entry.token && entry.token.toUpperCase() === normalizedToken) ||
+                entry.mintAddress === token)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+}
+
+module.exports = {
+    TransactionHistory,
+    toHistoryEntry
+};
@@ -0,0 +1,93 @@
+// Reglas de filtrado por usuario para VoltsTrack Bot
+// Cada chat decide qué transacciones recibe: rango de SOL, tokens silenciados, allowlist de mints y venues
+
+const { VENUES } = require('./ProgramRegistry');
+
+const MAX_FILTER_ENTRIES = 25; // Límite por lista para mantener los mensajes legibles
+
+const createDefaultFilters = () => ({
+    maxSolAmount: null,   // null = sin límite superior
+    mutedMints: [],       // Mint addresses silenciadas
+    mutedSymbols: [],     // Símbolos silenciados (sin $, en mayúsculas)
+    allowedMints: [],     // Si no está vacía, SOLO se notifican estos mints
+    venues: []            // Si no está vacía, SOLO se notifican swaps en estos venues (claves de VENUES)
+});
+
+const normalizeSymbol = (symbol) => symbol.toString().trim().replace(/^\$/, '').toUpperCase();
+
+// Normalizar filtros cargados desde storage (descarta claves desconocidas)
+const normalizeFilters = (filters = {}) => {
+    const defaults = createDefaultFilters();
+    const asList = (value) => Array.isArray(value) ? value.slice(0, MAX_FILTER_ENTRIES) : [];
+
+    return {
+        maxSolAmount: typeof filters.maxSolAmount === 'number' ? filters.maxSolAmount : defaults.maxSolAmount,
+        mutedMints: asList(filters.mutedMints),
+        mutedSymbols: asList(filters.mutedSymbols).map(normalizeSymbol),
+        allowedMints: asList(filters.allowedMints),
+        venues: asList(filters.venues).filter(venue => VENUES[venue])
+    };
+};
+
+// Evaluar una transacción contra las reglas de un usuario
+const evaluateFilters = (filters, transactionData) => {
+    const mint = transactionData.mintAddress;
+    const symbol = transactionData.token ? normalizeSymbol(transactionData.token) : null;
+
+    if (filters.allowedMints.length > 0 && !filters.allowedMints.includes(mint)) {
+        return { pass: false, reason: 'mint not in allowlist' };
+    }
+    if (mint && filters.mutedMints.includes(mint)) {
+        return { pass: false, reason: `muted mint ${mint.substring(0, 8)}...` };
+    }
+    if (symbol && filters.mutedSymbols.includes(symbol)) {
+        return { pass: false, reason: `muted symbol ${symbol}` };
+    }
+    // El filtro de venue solo aplica a swaps (transfers, NFTs... no tienen venue)
+    if (filters.venues.length > 0 && (transactionData.eventType || 'SWAP') === 'SWAP' &&
+        !filters.venues.includes(transactionData.venue)) {
+        return { pass: false, reason: `venue ${transactionData.venue || 'unknown'} not in filter` };
+    }
+    if (filters.maxSolAmount !== null && typeof transactionData.solAmount === 'number' &&
+        transactionData.solAmount > filters.maxSolAmount) {
+        return { pass: false, reason: `above ${filters.maxSolAmount} SOL` };
+    }
+
+    return { pass: true };
+};
+
+// Añadir un valor a una lista de filtros; devuelve false si ya existía o la lista está llena
+const addFilterEntry = (list, value) => {
+    if (list.includes(value) || list.length >= MAX_FILTER_ENTRIES) {
+        return false;
+    }
+    list.push(value);
+    return true;
+};
+
+const removeFilterEntry = (list, value) => {
+    const index = list.indexOf(value);
+    if (index === -1) {
+        return false;
+    }
+    list.splice(index, 1);
+    return true;
+};
+
+const hasActiveFilters = (filters) =>
+    filters.maxSolAmount !== null ||
+    filters.mutedMints.length > 0 ||
+    filters.mutedSymbols.length > 0 ||
+    filters.allowedMints.length > 0 ||
+    filters.venues.length > 0;
+
+module.exports = {
+    MAX_FILTER_ENTRIES,
+    createDefaultFilters,
+    normalizeFilters,
+    normalizeSymbol,
+    evaluateFilters,
+    addFilterEntry,
+    removeFilterEntry,
+    hasActiveFilters
+};
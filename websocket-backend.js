@@ -1,18 +1,32 @@
 const WebSocket = require('ws');
-const axios = require('axios');
 const { websocketLogger, apiLogger, filterLogger } = require('./utils/Logger');
+const { EVENT_TYPES, classifyEventType } = require('./utils/EventTypes');
+const { parseEvent, WSOL_MINT } = require('./utils/EventParsers');
+const { STABLECOINS, isStablecoin, decodeSwap, findTrackedWallets } = require('./utils/SwapDecoder');
+const { formatSol, formatQuantity } = require('./utils/EventTemplates');
+const { maskKey, isRetryableError } = require('./utils/ApiKeyPool');
+const { createProvider } = require('./utils/ChainProviders');
+const { parseRawTransaction } = require('./utils/RawTransactionParser');
+const { identifyVenue } = require('./utils/ProgramRegistry');
+const { findBondingCurve, decodeBondingCurve } = require('./utils/PumpFun');
+const { RETRY_ATTEMPTS, backoffDelay, retryWithBackoff } = require('./utils/Retry');
+const { SignatureCache } = require('./utils/SignatureCache');
 
 // Load environment variables
 require('dotenv').config();
 
-// Programas conocidos de Solana que NO son mint addresses
-const knownPrograms = [
-    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token Program
-    '11111111111111111111111111111111',          // System Program
-    'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',  // Associated Token Program
-    'ComputeBudget111111111111111111111111111111', // Compute Budget Program
-    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'   // Token 2022 Program
-];
+// Máximo de firmas por llamada a /v0/transactions
+const ENHANCED_BATCH_SIZE = 100;
+
+// Respuesta RPC sin resultado: merece reintento igual que un error de transporte
+const EMPTY_RESULT = 'EMPTY_RESULT';
+const responseError = (code, message) => Object.assign(new Error(message), { code });
+const shouldRetryFetch = (error) => error.code === EMPTY_RESULT || isRetryableError(error);
+
+// Mint sin metadatos (proveedor sin DAS o token sin indexar): mint abreviado como símbolo,
+// para que el filtro de símbolos ('N/A', 'Unknown') no descarte el swap
+const shortMint = (mint) => `${mint.substring(0, 4)}...${mint.substring(mint.length - 4)}`;
+const fallbackTokenInfo = (mint) => ({ symbol: shortMint(mint), name: null, priceUsd: null, image: null });
 
 // Filtros inteligentes para transacciones
 class TransactionFilters {
@@ -72,6 +86,14 @@ class TransactionFilters {
         return true;
     }
     
+    // Eventos tipados (transfer, NFT, liquidez...): solo requieren wallet y tipo válidos
+    shouldShowEvent(eventData) {
+        if (!eventData || !eventData.wallet || !EVENT_TYPES[eventData.eventType]) {
+            return false;
+        }
+        return !this.isWalletNameBlacklisted(eventData.wallet);
+    }
+    
     isTokenBlacklisted(token) {
         if (!token) return true;
         const normalizedToken = token.toString().trim().toUpperCase();
@@ -102,45 +124,77 @@ class TransactionFilters {
 
 class HeliusWebSocketBackend {
     constructor() {
-        // Load environment-based configuration
-        const apiKeysEnv = process.env.HELIUS_API_KEYS;
-        if (!apiKeysEnv) {
-            throw new Error('HELIUS_API_KEYS environment variable is required');
-        }
-        this.heliusApiKeys = apiKeysEnv.split(',').map(key => key.trim());
-        
-        // Validate API keys format
-        this.heliusApiKeys.forEach((key, index) => {
-            if (!key || key.length < 32) {
-                throw new Error(`Invalid Helius API key at index ${index}: ${key.substring(0, 8)}...`);
-            }
-        });
-        
         // Cloud-optimized configuration
-        this.currentApiKeyIndex = 0;
         this.keyRotationInterval = parseInt(process.env.API_ROTATION_INTERVAL) || 900000; // 15 minutes
-        this.callsPerKey = 0;
         this.maxCallsPerRotation = parseInt(process.env.MAX_CALLS_PER_ROTATION) || 100;
         
         // Network and connection settings
         this.network = process.env.SOLANA_NETWORK || 'mainnet';
+        
+        // Chain data provider (CHAIN_PROVIDER=helius|rpc|mock): log subscription, enhanced transactions, assets, RPC
+        this.provider = createProvider(process.env.CHAIN_PROVIDER, {
+            network: this.network,
+            maxCallsPerRotation: this.maxCallsPerRotation
+        });
+        // Health-aware key pool (Helius only): skips rate-limited/failing keys and retries on the next one
+        this.apiKeyPool = this.provider.apiKeyPool;
+        this.websocketApiKey = null; // Key used by the current WebSocket connection
         this.websocket = null;
         this.trackedWallets = new Set();
+        this.walletCommitments = new Map(); // wallet -> commitment usado en logsSubscribe
         this.isConnected = false;
         
-        // Enhanced reconnection logic for cloud hosting
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = parseInt(process.env.RECONNECT_ATTEMPTS) || 5;
+        // Subscriptions of the current connection (they die with it)
+        this.subscriptions = new Map();       // wallet -> { id, commitment }
+        this.subscriptionWallets = new Map(); // subscription id -> wallet
+        this.pendingRequests = new Map();     // JSON-RPC id -> { method, wallet, commitment, subscriptionId }
+        this.nextRequestId = 1;
+        
+        // Enhanced reconnection logic for cloud hosting: never gives up, capped backoff with jitter
+        this.reconnectAttempts = 0; // Consecutive failed attempts (reset when a connection opens)
+        this.reconnectTimer = null;
         this.reconnectDelay = parseInt(process.env.RECONNECT_DELAY) || 1000;
+        this.maxReconnectDelay = parseInt(process.env.RECONNECT_MAX_DELAY) || 60000;
+        // Switch to another healthy API key every N failed attempts (0 = never)
+        const keySwitchAfter = parseInt(process.env.RECONNECT_KEY_SWITCH_AFTER);
+        this.keySwitchAfterAttempts = isNaN(keySwitchAfter) ? 3 : Math.max(0, keySwitchAfter);
         this.connectionHealthCheck = null;
         
+        // Degraded tracking: announced after the connection stays down for degradedNoticeDelay
+        this.degradedNoticeDelay = parseInt(process.env.DEGRADED_NOTICE_DELAY) || 60000;
+        this.degradedTimer = null;
+        this.disconnectedAt = null;
+        this.degradedSince = null;
+        this.onConnectionDegraded = null;
+        this.onConnectionRestored = null;
+        
+        // Gap recovery: signatures missed while the socket was down are fetched after reconnecting
+        this.lastProcessed = new Map(); // wallet -> { signature, slot, at } of the last logsNotification
+        this.lastDisconnectAt = null;   // Set when the current connection closes, cleared once recovered
+        this.gapRecoveryLimit = Math.min(parseInt(process.env.GAP_RECOVERY_LIMIT) || 25, 1000);
+        this.recoveringGap = false;
+        this.lastGapRecovery = null;
+        
+        // Finality follow-up for alerts sent before 'finalized' (see onTransactionFinality)
+        this.pendingFinality = new Map(); // signature -> { since }
+        this.finalityTimer = null;
+        this.finalityCheckInterval = parseInt(process.env.FINALITY_CHECK_INTERVAL) || 5000;
+        this.finalityTimeout = parseInt(process.env.FINALITY_TIMEOUT) || 120000; // Sin estado tras esto → dropped
+        this.onTransactionFinality = null;
+        
         // Memory-optimized cache management
         this.tokenInfoCache = new Map();
         this.cacheExpiry = parseInt(process.env.CACHE_EXPIRY) || 300000; // 5 minutes
         this.maxCacheSize = 1000; // Limit cache size for memory efficiency
         
         // Enhanced rate limiting for cloud hosting
-        this.enhancedTransactionQueue = [];
+        this.enhancedTransactionQueue = new Map(); // signature -> { resolvers, attempts, readyAt }
+        this.enhancedQueueTimer = null;
+        this.enhancedQueueDeadline = 0; // When the armed timer fires
+        this.enhancedBatchInFlight = false; // One batch request at a time
+        this.enhancedBatchWindow = parseInt(process.env.ENHANCED_BATCH_WINDOW) || 250; // ms to coalesce signatures
+        // enhanced: Helius /v0/transactions con el parser nativo como fallback; raw: solo getTransaction + parser nativo
+        this.transactionParser = process.env.TRANSACTION_PARSER === 'raw' ? 'raw' : 'enhanced';
         this.assetBatchQueue = [];
         this.lastEnhancedCall = 0;
         this.lastAssetBatchCall = 0;
@@ -148,18 +202,40 @@ class HeliusWebSocketBackend {
         
         // Transaction filters
         this.filters = new TransactionFilters();
+        // Global dust cutoff; per-user thresholds are applied by the bot
+        this.minSolAmount = parseFloat(process.env.MIN_SOL_AMOUNT) || 0.001;
+        
+        // Signatures fetched when a wallet is first tracked (0 disables backfill)
+        const backfillLimit = parseInt(process.env.BACKFILL_LIMIT);
+        this.backfillLimit = Math.min(isNaN(backfillLimit) ? 10 : Math.max(0, backfillLimit), HeliusWebSocketBackend.MAX_BACKFILL_LIMIT);
+        
+        // Pump.fun: buys this soon after the token's first transaction are flagged as early
+        this.earlyBuyWindow = parseInt(process.env.PUMPFUN_EARLY_BUY_WINDOW) || 300000; // 5 minutes
+        this.launchTimes = new Map(); // mint -> launch time (ms), or null if it launched before the window
         
         // Callback for transaction notifications
         this.onTransactionReceived = null;
         
-        // Connection stability monitoring
+        // Signatures already processed (several subscriptions or replayed logs after a reconnect)
+        this.seenSignatures = new SignatureCache();
+        
+        // Signatures that still fail after retries (see setDeadLetterQueue)
+        this.deadLetters = null;
+        this.reprocessingDeadLetters = false;
+        
+        // Connection stability monitoring: ping frames + watchdog for half-open sockets
         this.connectionTimeouts = [];
-        this.lastSuccessfulPing = Date.now();
-        this.pingInterval = 30000; // 30 seconds
+        this.lastSuccessfulPing = null;
+        this.lastMessageAt = null;
+        this.connectedAt = null;
+        this.reconnectCount = 0;
+        this.pingInterval = parseInt(process.env.WS_PING_INTERVAL) || 30000; // 30 seconds
+        this.staleTimeout = parseInt(process.env.WS_STALE_TIMEOUT) || 90000; // No pong ni mensajes → conexión muerta
         
         websocketLogger.success('VoltsTrack Bot initialized', {
             network: this.network,
-            apiKeys: this.heliusApiKeys.length,
+            provider: this.provider.describe(),
+            apiKeys: this.apiKeyPool ? this.apiKeyPool.keys.length : 0,
             rotationInterval: `${this.keyRotationInterval / 1000 / 60}min`,
             maxCallsPerRotation: this.maxCallsPerRotation
         });
@@ -171,56 +247,28 @@ class HeliusWebSocketBackend {
     // ========== MÉTODOS DE ROTACIÓN DE API KEYS ==========
     
     getCurrentApiKey() {
-        return this.heliusApiKeys[this.currentApiKeyIndex];
+        return this.apiKeyPool ? this.apiKeyPool.getKey() : null;
     }
     
     initializeKeyRotation() {
-        // Rotación por tiempo
+        // Rotación por tiempo (la rotación por uso y por errores la gestiona el pool)
         setInterval(() => {
             this.rotateApiKeyByTime();
         }, this.keyRotationInterval);
     }
     
     rotateApiKeyByTime() {
-        const oldIndex = this.currentApiKeyIndex;
-        this.currentApiKeyIndex = (this.currentApiKeyIndex + 1) % this.heliusApiKeys.length;
-        this.callsPerKey = 0;
-        
-        const oldKey = this.heliusApiKeys[oldIndex].substring(0, 8) + '...';
-        const newKey = this.getCurrentApiKey().substring(0, 8) + '...';
-        
-        websocketLogger.info(`API key rotated (time): ${oldKey} → ${newKey}`);
+        if (!this.apiKeyPool || !this.apiKeyPool.rotate('time')) return;
         
         if (this.isConnected) {
             this.reconnectWithNewApiKey();
         }
     }
     
-    rotateApiKeyByUsage() {
-        this.callsPerKey++;
-        
-        if (this.callsPerKey >= this.maxCallsPerRotation) {
-            const oldIndex = this.currentApiKeyIndex;
-            this.currentApiKeyIndex = (this.currentApiKeyIndex + 1) % this.heliusApiKeys.length;
-            this.callsPerKey = 0;
-            
-            const oldKey = this.heliusApiKeys[oldIndex].substring(0, 8) + '...';
-            const newKey = this.getCurrentApiKey().substring(0, 8) + '...';
-            
-            websocketLogger.info(`API key rotated (usage): ${oldKey} → ${newKey}`);
-            
-            if (this.isConnected) {
-                this.reconnectWithNewApiKey();
-            }
-        }
-    }
-    
     reconnectWithNewApiKey() {
         websocketLogger.info('Reconnecting WebSocket with new API key');
         
-        if (this.websocket) {
-            this.websocket.close(1000, 'API key rotation');
-        }
+        this.closeWebSocket('API key rotation');
         
         setTimeout(() => {
             this.connect();
@@ -251,60 +299,168 @@ class HeliusWebSocketBackend {
     
     // ========== ENHANCED TRANSACTIONS API ==========
     
+    // Transacción en formato enhanced: de la API del proveedor o, si no la tiene (o no devuelve nada),
+    // del parser nativo sobre getTransaction
     async getEnhancedTransaction(signature) {
+        if (this.transactionParser === 'raw' || !this.provider.supportsEnhancedTransactions) {
+            return this.getParsedRawTransaction(signature);
+        }
+        
+        const enhancedTx = await this.queueEnhancedTransaction(signature);
+        if (enhancedTx) return enhancedTx;
+        
+        console.log(`🧩 No enhanced data for ${signature.substring(0, 8)}... - falling back to the raw transaction`);
+        return this.getParsedRawTransaction(signature);
+    }
+    
+    // Varias firmas a la vez (backfill, gap recovery, dead letters): se encolan todas antes de esperar
+    // para que la cola las agrupe en lotes. Resultados en el mismo orden, null si no se pudo obtener
+    getEnhancedTransactions(signatures) {
+        return Promise.all(signatures.map(signature => this.getEnhancedTransaction(signature).catch(() => null)));
+    }
+    
+    // getTransaction (jsonParsed) + parser nativo; null si la transacción no aparece tras los reintentos
+    async getParsedRawTransaction(signature) {
+        try {
+            const rawTx = await retryWithBackoff(async () => {
+                const rawTx = await this.provider.fetchTransaction(signature);
+                if (!rawTx) {
+                    throw responseError(EMPTY_RESULT, 'Transaction not found yet');
+                }
+                return rawTx;
+            }, {
+                // Un error JSON-RPC (p.ej. método no soportado) no se arregla reintentando
+                shouldRetry: (error) => error.code !== 'RPC_ERROR' && shouldRetryFetch(error),
+                onRetry: (error, attempt, delay) =>
+                    apiLogger.warn(`Raw TX ${signature.substring(0, 8)}... retry ${attempt} in ${delay}ms: ${error.message}`)
+            });
+            
+            const enhancedTx = parseRawTransaction(rawTx, signature);
+            console.log(`🧩 Raw TX ${signature.substring(0, 8)}... parsed natively as ${enhancedTx?.type || 'nothing'}`);
+            return enhancedTx;
+        } catch (error) {
+            console.error(`❌ Raw TX ${signature.substring(0, 8)}... unavailable:`, error.message);
+            return null;
+        }
+    }
+    
+    // Encolar una firma; las firmas pendientes se agrupan en lotes de hasta ENHANCED_BATCH_SIZE
+    // y cada llamada recibe su propia transacción (null si no se pudo obtener)
+    queueEnhancedTransaction(signature) {
         return new Promise((resolve) => {
-            this.enhancedTransactionQueue.push({ signature, resolve });
-            this.processEnhancedTransactionQueue();
+            const pending = this.enhancedTransactionQueue.get(signature);
+            if (pending) {
+                // La misma firma ya está en cola (p.ej. backfill y tiempo real): compartir resultado
+                pending.resolvers.push(resolve);
+                return;
+            }
+            
+            this.enhancedTransactionQueue.set(signature, { resolvers: [resolve], attempts: 0, readyAt: 0 });
+            this.scheduleEnhancedBatch(this.enhancedBatchWindow);
         });
     }
     
-    async processEnhancedTransactionQueue() {
-        if (this.enhancedTransactionQueue.length === 0) return;
+    // Programar el siguiente lote respetando rateLimitDelay desde la última llamada
+    // (si hay un lote en curso, se programa al terminar). Si ya hay un timer armado para más tarde
+    // (p.ej. el backoff de un reintento), se adelanta para no retener las firmas nuevas
+    scheduleEnhancedBatch(delay) {
+        if (this.enhancedBatchInFlight || this.enhancedTransactionQueue.size === 0) return;
+        
+        const sinceLastCall = Date.now() - this.lastEnhancedCall;
+        const wait = Math.max(delay, this.rateLimitDelay - sinceLastCall, 0);
+        const deadline = Date.now() + wait;
+        if (this.enhancedQueueTimer) {
+            if (this.enhancedQueueDeadline <= deadline) return;
+            clearTimeout(this.enhancedQueueTimer);
+        }
         
+        this.enhancedQueueDeadline = deadline;
+        this.enhancedQueueTimer = setTimeout(() => {
+            this.enhancedQueueTimer = null;
+            this.processEnhancedTransactionQueue();
+        }, wait);
+    }
+    
+    async processEnhancedTransactionQueue() {
         const now = Date.now();
-        const timeSinceLastCall = now - this.lastEnhancedCall;
-        
-        if (timeSinceLastCall < this.rateLimitDelay) {
-            setTimeout(() => this.processEnhancedTransactionQueue(), this.rateLimitDelay - timeSinceLastCall);
-            return;
+        const batch = Array.from(this.enhancedTransactionQueue.entries())
+            .filter(([, pending]) => pending.readyAt <= now)
+            .slice(0, ENHANCED_BATCH_SIZE);
+        
+        if (batch.length > 0) {
+            this.lastEnhancedCall = Date.now();
+            const signatures = batch.map(([signature]) => signature);
+            this.enhancedBatchInFlight = true;
+            const results = await this.fetchEnhancedTransactionsDirect(signatures);
+            this.enhancedBatchInFlight = false;
+            
+            batch.forEach(([signature, pending]) => {
+                const enhancedTx = results ? results.get(signature) : null;
+                
+                if (enhancedTx) {
+                    this.resolveEnhancedTransaction(signature, enhancedTx);
+                    return;
+                }
+                
+                // No indexada aún o lote fallido: reintentar con backoff, sin bloquear al resto
+                pending.attempts++;
+                if (pending.attempts >= RETRY_ATTEMPTS) {
+                    console.error(`❌ Enhanced TX ${signature.substring(0, 8)}... unavailable after ${pending.attempts} attempts`);
+                    this.resolveEnhancedTransaction(signature, null);
+                } else {
+                    pending.readyAt = Date.now() + backoffDelay(pending.attempts - 1);
+                    apiLogger.warn(`Enhanced TX ${signature.substring(0, 8)}... retry ${pending.attempts} ` +
+                        `(${results ? 'not indexed yet' : 'request failed'})`);
+                }
+            });
         }
         
-        const { signature, resolve } = this.enhancedTransactionQueue.shift();
-        this.lastEnhancedCall = Date.now();
-        
-        const result = await this.fetchEnhancedTransactionDirect(signature);
-        resolve(result);
-        
-        if (this.enhancedTransactionQueue.length > 0) {
-            setTimeout(() => this.processEnhancedTransactionQueue(), this.rateLimitDelay);
+        // Siguiente lote: en cuanto haya firmas listas (o cuando lo esté la primera en backoff)
+        if (this.enhancedTransactionQueue.size > 0) {
+            const nextReady = Math.min(...Array.from(this.enhancedTransactionQueue.values()).map(pending => pending.readyAt));
+            this.scheduleEnhancedBatch(Math.max(nextReady - Date.now(), 0));
         }
     }
     
-    async fetchEnhancedTransactionDirect(signature) {
-        this.rotateApiKeyByUsage();
-        const apiUrl = `https://api.helius.xyz/v0/transactions?api-key=${this.getCurrentApiKey()}`;
-        
-        const requestBody = {
-            transactions: [signature]
-        };
+    resolveEnhancedTransaction(signature, enhancedTx) {
+        const pending = this.enhancedTransactionQueue.get(signature);
+        if (!pending) return;
         
+        this.enhancedTransactionQueue.delete(signature);
+        pending.resolvers.forEach(resolve => resolve(enhancedTx));
+    }
+    
+    // Vaciar la cola respondiendo null a quien esperaba (sin wallets no se hacen más llamadas)
+    clearEnhancedTransactionQueue() {
+        if (this.enhancedQueueTimer) {
+            clearTimeout(this.enhancedQueueTimer);
+            this.enhancedQueueTimer = null;
+        }
+        Array.from(this.enhancedTransactionQueue.keys())
+            .forEach(signature => this.resolveEnhancedTransaction(signature, null));
+    }
+    
+    // Una llamada al proveedor para varias firmas: Map(signature -> tx) con las encontradas,
+    // o null si la petición falló tras los reintentos de transporte (429, 5xx, red)
+    async fetchEnhancedTransactionsDirect(signatures) {
         try {
             const startTime = Date.now();
-            const response = await axios.post(apiUrl, requestBody, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 10000
+            const transactions = await retryWithBackoff(() => this.provider.fetchEnhancedTransactions(signatures), {
+                shouldRetry: isRetryableError,
+                onRetry: (error, attempt, delay) =>
+                    apiLogger.warn(`Enhanced TX batch (${signatures.length}) retry ${attempt} in ${delay}ms: ${error.message}`)
             });
             
-            const duration = Date.now() - startTime;
-            
-            if (response.data && response.data.length > 0) {
-                apiLogger.debug(`Enhanced TX fetched: ${signature.substring(0, 8)}... (${duration}ms)`);
-                return response.data[0];
-            }
+            // Las firmas recién confirmadas pueden tardar unos segundos en indexarse: no vienen en la respuesta
+            const results = new Map();
+            transactions.forEach(enhancedTx => {
+                if (enhancedTx && enhancedTx.signature) results.set(enhancedTx.signature, enhancedTx);
+            });
             
-            return null;
+            apiLogger.debug(`Enhanced TX batch: ${results.size}/${signatures.length} fetched (${Date.now() - startTime}ms)`);
+            return results;
         } catch (error) {
-            console.error('❌ Error fetching enhanced transaction:', error.message);
+            console.error('❌ Error fetching enhanced transactions:', error.message);
             return null;
         }
     }
@@ -352,35 +508,32 @@ class HeliusWebSocketBackend {
     }
     
     async fetchAssetInfoDirect(mintAddresses) {
-        this.rotateApiKeyByUsage();
-        const apiUrl = `https://mainnet.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
-        
-        const requestBody = {
-            jsonrpc: "2.0",
-            id: "asset-batch",
-            method: "getAssetBatch",
-            params: {
-                ids: mintAddresses,
-                displayOptions: { showFungible: true }
-            }
-        };
-        
         try {
             console.log('🔍 Fetching asset batch for:', mintAddresses.length, 'tokens');
             
-            const response = await axios.post(apiUrl, requestBody, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 10000
+            const assets = await retryWithBackoff(async () => {
+                const assets = await this.provider.fetchAssets(mintAddresses);
+                
+                if (!Array.isArray(assets)) {
+                    throw responseError(EMPTY_RESULT, 'Empty asset batch response');
+                }
+                return assets;
+            }, {
+                shouldRetry: shouldRetryFetch,
+                onRetry: (error, attempt, delay) =>
+                    apiLogger.warn(`Asset batch retry ${attempt} in ${delay}ms: ${error.message}`)
             });
             
-            if (response.data && response.data.result) {
-                console.log('✅ Asset batch obtained for', response.data.result.length, 'tokens');
+            if (assets.length > 0) {
+                console.log('✅ Asset batch obtained for', assets.length, 'tokens');
                 
-                // Update cache
-                response.data.result.forEach(asset => {
+                // Update cache (null = mint sin metadatos en el proveedor)
+                assets.forEach(asset => {
                     if (asset && asset.id && asset.content) {
                         const tokenInfo = {
-                            symbol: asset.content.metadata?.symbol || 'N/A',
+                            symbol: asset.content.metadata?.symbol || shortMint(asset.id),
+                            name: asset.content.metadata?.name || null,
+                            priceUsd: asset.token_info?.price_info?.price_per_token || null,
                             image: asset.content.links?.image || null,
                             expiry: Date.now() + this.cacheExpiry
                         };
@@ -391,273 +544,19 @@ class HeliusWebSocketBackend {
                 // Return mapped info
                 return mintAddresses.map(mint => {
                     const cached = this.tokenInfoCache.get(mint);
-                    return cached || { symbol: 'N/A', image: null };
+                    return cached || fallbackTokenInfo(mint);
                 });
             }
             
-            return mintAddresses.map(() => ({ symbol: 'N/A', image: null }));
+            return mintAddresses.map(fallbackTokenInfo);
         } catch (error) {
             console.error('❌ Error fetching asset info:', error.message);
-            return mintAddresses.map(() => ({ symbol: 'N/A', image: null }));
+            return mintAddresses.map(fallbackTokenInfo);
         }
     }
     
     // ========== TRANSACTION PROCESSING ==========
     
-    extractMintAddresses(enhancedTx) {
-        const mintAddresses = new Set();
-        
-        try {
-            if (enhancedTx.tokenTransfers) {
-                enhancedTx.tokenTransfers.forEach(transfer => {
-                    if (transfer.mint) {
-                        mintAddresses.add(transfer.mint);
-                    }
-                });
-            }
-            
-            if (enhancedTx.accountData) {
-                enhancedTx.accountData.forEach(account => {
-                    if (account.mint) {
-                        mintAddresses.add(account.mint);
-                    }
-                });
-            }
-            
-            const result = Array.from(mintAddresses);
-            console.log('🎯 Extracted mint addresses:', result.length);
-            return result;
-        } catch (error) {
-            console.error('❌ Error extracting mint addresses:', error);
-            return [];
-        }
-    }
-    
-    // 🎯 FUNCIÓN MEJORADA: Extraer cantidades SOL y tokens con logging detallado (Chrome Extension Logic)
-    extractTokenAmounts(enhancedTx) {
-        const tokenAmounts = [];
-        
-        try {
-            // Extracting token amounts from transaction
-            console.log('🔍 Enhanced TX type:', enhancedTx.type);
-            console.log('🔍 Token transfers count:', enhancedTx.tokenTransfers?.length || 0);
-            console.log('🔍 Native transfers count:', enhancedTx.nativeTransfers?.length || 0);
-            
-            // 🎯 PASO 1: Procesar transferencias de tokens (incluyendo SOL como token)
-            if (enhancedTx.tokenTransfers && enhancedTx.tokenTransfers.length > 0) {
-                enhancedTx.tokenTransfers.forEach((transfer, index) => {
-                    console.log(`\n📊 Transfer ${index + 1}:`);
-                    console.log('  📍 Mint:', transfer.mint);
-                    console.log('  📍 Raw Amount:', transfer.tokenAmount);
-                    console.log('  📍 From:', transfer.fromUserAccount?.substring(0, 8) + '...');
-                    console.log('  📍 To:', transfer.toUserAccount?.substring(0, 8) + '...');
-                    
-                    // Verificar si es SOL
-                    const isSOLTransfer = transfer.mint === 'So11111111111111111111111111111111111111112';
-                    console.log('  💰 Is SOL Transfer:', isSOLTransfer);
-                    
-                    if (transfer.tokenAmount && transfer.tokenAmount !== '0') {
-                        console.log('  ✅ Processing transfer with amount:', transfer.tokenAmount);
-                        
-                        // Determinar BUY/SELL usando lógica del Chrome Extension
-                        const isBuy = this.determineBuySell(transfer, enhancedTx);
-                        let tradeType = isBuy ? 'BUY' : 'SELL';
-                        
-                        // 🎯 CORRECCIÓN CRÍTICA PARA SOL (Chrome Extension Logic): 
-                        // La lógica automática está invertida para SOL vs tokens
-                        if (isSOLTransfer) {
-                            // Si estamos viendo una transacción donde se venden tokens por SOL:
-                            // - El token sale de la wallet (SELL)
-                            // - El SOL entra a la wallet (pero debería mostrarse como SELL también)
-                            // La lógica automática ve "SOL entrando" y dice BUY, pero es incorrecto
-                            tradeType = isBuy ? 'SELL' : 'BUY'; // Invertir la lógica para SOL
-                            console.log('  💰 SOL BUY/SELL logic corrected - was:', isBuy ? 'BUY' : 'SELL', 'now:', tradeType);
-                        }
-                        
-                        console.log('  📈 Trade Type:', tradeType);
-                        
-                        // Formatear amount usando función robusta del Chrome Extension
-                        const humanAmount = this.formatTokenAmount(transfer.tokenAmount, transfer.tokenStandard || 9);
-                        console.log('  📊 Human Amount:', humanAmount);
-                        
-                        // Calcular valor SOL si es SOL transfer
-                        let solAmount = 0;
-                        if (isSOLTransfer) {
-                            // 🎯 CRÍTICO: Detectar si tokenAmount ya es decimal o está en lamports
-                            const tokenAmountStr = transfer.tokenAmount.toString();
-                            if (tokenAmountStr.includes('.')) {
-                                // Ya es decimal SOL, usar directamente
-                                solAmount = parseFloat(transfer.tokenAmount);
-                                console.log('  💰 SOL Amount (decimal format):', solAmount.toFixed(6));
-                            } else {
-                                // Es lamports, convertir a SOL
-                                solAmount = parseFloat(transfer.tokenAmount) / 1000000000;
-                                console.log('  💰 SOL Amount (lamports converted):', solAmount.toFixed(6));
-                            }
-                        }
-                        
-                        const amountData = {
-                            mint: transfer.mint,
-                            amount: transfer.tokenAmount,
-                            decimals: transfer.tokenStandard || 9,
-                            rawAmount: transfer.tokenAmount,
-                            humanAmount: humanAmount,
-                            solAmount: solAmount, // 🎯 VALOR SOL CALCULADO
-                            type: tradeType,
-                            isSOL: isSOLTransfer, // 🎯 FLAG SOL
-                            fromUserAccount: transfer.fromUserAccount,
-                            toUserAccount: transfer.toUserAccount
-                        };
-                        
-                        tokenAmounts.push(amountData);
-                        
-                        console.log('  ✅ Added to amounts array');
-                    }
-                });
-                
-                // 🎯 RESUMEN FINAL DE SOL (Chrome Extension Style)
-                const solTransfers = tokenAmounts.filter(ta => ta.isSOL);
-                if (solTransfers.length > 0) {
-                    const totalSOL = solTransfers.reduce((sum, sol) => sum + (sol.solAmount || 0), 0);
-                    websocketLogger.debug(`SOL extracted: ${solTransfers.length} transfers, total: ${totalSOL.toFixed(4)} SOL`);
-                }
-            }
-            
-            // 🎯 PASO 2: Procesar nativeTransfers como fallback si no hay tokenTransfers de SOL
-            const hasSOLInTokenTransfers = tokenAmounts.some(ta => ta.isSOL);
-            if (!hasSOLInTokenTransfers && enhancedTx.nativeTransfers && enhancedTx.nativeTransfers.length > 0) {
-                console.log('\n🔄 Processing nativeTransfers as fallback for SOL...');
-                
-                enhancedTx.nativeTransfers.forEach((transfer, index) => {
-                    const amount = parseFloat(transfer.amount || 0);
-                    const solAmount = amount / 1000000000; // Convert lamports to SOL
-                    
-                    console.log(`🔍 Native transfer ${index + 1}:`, {
-                        amount: transfer.amount,
-                        solAmount: solAmount.toFixed(6),
-                        fromUserAccount: transfer.fromUserAccount?.substring(0, 8) + '...',
-                        toUserAccount: transfer.toUserAccount?.substring(0, 8) + '...'
-                    });
-                    
-                    if (amount !== 0) {
-                        tokenAmounts.push({
-                            mint: 'So11111111111111111111111111111111111111112', // SOL mint
-                            rawAmount: amount,
-                            humanAmount: this.formatSOLAmountDirect(solAmount),
-                            solAmount: solAmount,
-                            type: amount > 0 ? 'BUY' : 'SELL',
-                            isSOL: true,
-                            fromUserAccount: transfer.fromUserAccount,
-                            toUserAccount: transfer.toUserAccount
-                        });
-                    }
-                });
-            }
-            
-            websocketLogger.debug(`Token extraction complete: ${tokenAmounts.length} amounts found`);
-            return tokenAmounts;
-        } catch (error) {
-            console.error('❌ Error extracting token amounts:', error);
-            return [];
-        }
-    }
-    
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Formatear cantidad de tokens a formato legible
-    formatTokenAmount(rawAmount, decimals = 9) {
-        try {
-            // Verificar que rawAmount es válido
-            if (rawAmount === null || rawAmount === undefined || rawAmount === '') {
-                return 'N/A';
-            }
-            
-            // FIX DECIMALS ISSUE: Convertir decimals a número si es string
-            if (typeof decimals === 'string') {
-                if (decimals === 'Fungible') {
-                    decimals = 6; // Pump.fun tokens typically use 6 decimals
-                } else {
-                    const parsedDecimals = parseInt(decimals);
-                    if (!isNaN(parsedDecimals)) {
-                        decimals = parsedDecimals;
-                    } else {
-                        decimals = 9;
-                    }
-                }
-            } else if (typeof decimals !== 'number') {
-                decimals = 9;
-            }
-            
-            // Convertir rawAmount a string para procesamiento
-            let amountStr = rawAmount.toString();
-            
-            // Verificar si ya es un número decimal (contiene punto)
-            if (amountStr.includes('.')) {
-                const decimalAmount = parseFloat(amountStr);
-                if (isNaN(decimalAmount)) {
-                    return 'N/A';
-                }
-                return this.formatAmountWithUnits(decimalAmount);
-            }
-            
-            // Si no contiene punto decimal, tratar como raw amount con decimals
-            let rawAmountBigInt;
-            try {
-                rawAmountBigInt = BigInt(amountStr);
-            } catch (error) {
-                return 'N/A';
-            }
-            
-            // Calcular el divisor basado en decimals
-            const divisor = BigInt(10 ** decimals);
-            const wholePart = rawAmountBigInt / divisor;
-            const remainder = rawAmountBigInt % divisor;
-            const decimalAmount = parseFloat(wholePart.toString()) + parseFloat(remainder.toString()) / parseFloat(divisor.toString());
-            
-            return this.formatAmountWithUnits(decimalAmount);
-            
-        } catch (error) {
-            console.error('❌ Token formatting error:', error.message);
-            return 'N/A';
-        }
-    }
-    
-    // Helper function para formatear cantidades con unidades
-    formatAmountWithUnits(decimalAmount) {
-        if (decimalAmount >= 1000000000) {
-            return (decimalAmount / 1000000000).toFixed(2) + 'B tokens';
-        } else if (decimalAmount >= 1000000) {
-            return (decimalAmount / 1000000).toFixed(2) + 'M tokens';
-        } else if (decimalAmount >= 1000) {
-            return (decimalAmount / 1000).toFixed(2) + 'K tokens';
-        } else if (decimalAmount >= 1) {
-            return decimalAmount.toLocaleString('en-US', {
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 6
-            }) + ' tokens';
-        } else {
-            return decimalAmount.toFixed(6) + ' tokens';
-        }
-    }
-
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Formatear cantidad específicamente para SOL
-    formatSOLAmount(lamports) {
-        try {
-            const solAmount = parseFloat(lamports) / 1000000000; // Convertir lamports a SOL
-            
-            if (solAmount >= 1000) {
-                return (solAmount / 1000).toFixed(2) + 'K SOL';
-            } else if (solAmount >= 1) {
-                return solAmount.toFixed(3) + ' SOL';
-            } else if (solAmount >= 0.001) {
-                return solAmount.toFixed(4) + ' SOL';
-            } else {
-                return solAmount.toFixed(6) + ' SOL';
-            }
-        } catch (error) {
-            console.error('❌ Error formatting SOL amount:', error);
-            return 'N/A SOL';
-        }
-    }
-
     // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Formatear cantidad SOL que ya está en formato decimal
     formatSOLAmountDirect(solAmount) {
         try {
@@ -677,61 +576,6 @@ class HeliusWebSocketBackend {
             return 'N/A SOL';
         }
     }
-
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Determinar si es compra o venta
-    determineBuySell(transfer, enhancedTx) {
-        const trackedWallets = Array.from(this.trackedWallets);
-        
-        const isReceiving = trackedWallets.some(wallet => 
-            transfer.toUserAccount === wallet ||
-            transfer.toUserAccount?.includes(wallet)
-        );
-        
-        const isSending = trackedWallets.some(wallet => 
-            transfer.fromUserAccount === wallet ||
-            transfer.fromUserAccount?.includes(wallet)
-        );
-        
-        // Si está recibiendo tokens, es una compra
-        if (isReceiving && !isSending) return true;
-        // Si está enviando tokens, es una venta
-        if (isSending && !isReceiving) return false;
-        
-        // Si está tanto enviando como recibiendo (swap interno), determinar por tipo de transacción
-        if (isSending && isReceiving) {
-            // Para swaps, verificar el tipo de transacción
-            if (enhancedTx.type === 'SWAP') {
-                // En un swap, si el token que estamos viendo sale de la wallet, es venta
-                return !isSending;
-            }
-        }
-        
-        // Fallback: si no podemos determinar, asumir que es compra
-        return true;
-    }
-
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Determinar BUY/SELL para transferencias nativas (SOL)
-    determineBuySellNative(nativeTransfer, enhancedTx) {
-        const trackedWallets = Array.from(this.trackedWallets);
-        
-        const isReceiving = trackedWallets.some(wallet => 
-            nativeTransfer.toUserAccount === wallet ||
-            nativeTransfer.toUserAccount?.includes(wallet)
-        );
-        
-        const isSending = trackedWallets.some(wallet => 
-            nativeTransfer.fromUserAccount === wallet ||
-            nativeTransfer.fromUserAccount?.includes(wallet)
-        );
-        
-        // Si está recibiendo SOL, es una venta (vendió tokens por SOL)
-        if (isReceiving && !isSending) return false; // SELL (recibe SOL)
-        // Si está enviando SOL, es una compra (compró tokens con SOL)
-        if (isSending && !isReceiving) return true; // BUY (envía SOL)
-        
-        // Fallback
-        return true;
-    }
     
     // ========== WEBSOCKET METHODS ==========
     
@@ -744,19 +588,24 @@ class HeliusWebSocketBackend {
             return;
         }
         
-        console.log('🔌 Attempting to connect to Helius WebSocket...');
+        console.log(`🔌 Attempting to connect to ${this.provider.describe()} WebSocket...`);
         console.log(`📊 Connecting with ${this.trackedWallets.size} wallet(s) to track`);
-        const wsUrl = `wss://${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
         
-        this.websocket = new WebSocket(wsUrl);
+        this.websocket = this.provider.createSocket();
+        this.websocketApiKey = this.provider.socketKey;
         this.setupEventListeners();
     }
     
     setupEventListeners() {
+        const socket = this.websocket;
+        
         this.websocket.onopen = () => {
             console.log('✅ WebSocket connection opened successfully!');
             this.isConnected = true;
             this.reconnectAttempts = 0;
+            this.connectedAt = Date.now();
+            this.startHeartbeat();
+            this.markConnectionRestored();
             
             // Solo suscribir si hay wallets para rastrear
             if (this.trackedWallets.size > 0) {
@@ -764,9 +613,17 @@ class HeliusWebSocketBackend {
             } else {
                 console.log('⚠️ No wallets to subscribe - WebSocket in standby mode');
             }
+            
+            // Reconexión: recuperar lo que pasó mientras el socket estaba caído
+            if (this.lastDisconnectAt !== null) {
+                const downSince = this.lastDisconnectAt;
+                this.lastDisconnectAt = null;
+                this.recoverMissedTransactions(downSince);
+            }
         };
         
         this.websocket.onmessage = (event) => {
+            if (socket === this.websocket) this.lastMessageAt = Date.now();
             try {
                 const data = JSON.parse(event.data);
                 this.processTransactionUpdate(data);
@@ -777,10 +634,31 @@ class HeliusWebSocketBackend {
         
         this.websocket.onclose = (event) => {
             console.log('🔌 WebSocket connection closed');
+            // Cierre de una conexión anterior (rotación de key): la actual sigue viva
+            if (socket !== this.websocket && this.websocket) return;
+            
+            // connectedAt y no isConnected: onerror ya lo pone a false antes de que llegue onclose
+            if (this.connectedAt !== null && this.lastDisconnectAt === null) {
+                // Un socket medio abierto puede llevar muerto un rato: contar desde la última señal de vida
+                this.lastDisconnectAt = Math.max(this.lastMessageAt || 0, this.lastSuccessfulPing || 0) || Date.now();
+            }
             this.isConnected = false;
-            if (!event.wasClean) this.handleReconnect();
+            this.connectedAt = null;
+            this.stopHeartbeat();
+            this.resetSubscriptionState();
+            // Cualquier cierre que no pedimos nosotros (aunque el servidor complete el handshake,
+            // p.ej. 1001/1011/1012 al reiniciar Helius) se trata como caída
+            if (!socket.closedOnPurpose) {
+                this.markConnectionLost();
+                this.handleReconnect();
+            }
         };
         
+        // Respuesta a nuestros ping: el socket sigue vivo aunque no haya actividad en las wallets
+        this.websocket.on('pong', () => {
+            if (socket === this.websocket) this.lastSuccessfulPing = Date.now();
+        });
+        
         this.websocket.onerror = () => {
             console.error('❌ WebSocket error occurred');
             this.isConnected = false;
@@ -788,6 +666,12 @@ class HeliusWebSocketBackend {
     }
     
     async processTransactionUpdate(data) {
+        // Respuesta a una petición nuestra (logsSubscribe / logsUnsubscribe)
+        if (data.id !== undefined && this.pendingRequests.has(data.id)) {
+            this.handleRpcResponse(data);
+            return;
+        }
+        
         if (data.method === 'logsNotification') {
             // CRITICAL CHECK: Si no hay wallets trackeadas, ignorar TODAS las transacciones
             if (this.trackedWallets.size === 0) {
@@ -795,6 +679,13 @@ class HeliusWebSocketBackend {
                 return;
             }
             
+            // Notificación de una suscripción ya cancelada (llega antes de confirmar el unsubscribe)
+            const subscriptionId = data.params.subscription;
+            if (subscriptionId !== undefined && !this.subscriptionWallets.has(subscriptionId)) {
+                websocketLogger.debug(`Ignoring notification from inactive subscription ${subscriptionId}`);
+                return;
+            }
+            
             const logs = data.params.result;
             const signature = logs.value?.signature;
             
@@ -803,6 +694,18 @@ class HeliusWebSocketBackend {
                 return;
             }
             
+            // Última firma vista por wallet: punto de partida de la recuperación tras una caída
+            const subscribedWallet = this.subscriptionWallets.get(subscriptionId);
+            if (subscribedWallet) {
+                this.lastProcessed.set(subscribedWallet, { signature, slot: logs.context?.slot || null, at: Date.now() });
+            }
+            
+            // Dedup: la misma firma llega una vez por cada suscripción que la incluye
+            if (!this.seenSignatures.markSeen(signature)) {
+                console.log('🔁 Duplicate signature, already processed:', signature.substring(0, 8) + '...');
+                return;
+            }
+            
             console.log('📋 Processing transaction:', signature.substring(0, 8) + '...');
             
             try {
@@ -810,290 +713,566 @@ class HeliusWebSocketBackend {
                 const enhancedTx = await this.getEnhancedTransaction(signature);
                 if (!enhancedTx) {
                     console.log('⚠️ Could not get enhanced transaction data');
-                    this.handleFallbackTransaction(logs);
+                    this.deadLetter(signature, 'Enhanced transaction unavailable after retries');
                     return;
                 }
                 
-                // 🎯 FILTRO: Solo procesar transacciones tipo SWAP
-                console.log('🔍 Enhanced TX type:', enhancedTx.type);
-                if (enhancedTx.type !== 'SWAP' && !enhancedTx.type.toLowerCase().includes('swap')) {
-                    console.log(`🚫 FILTER REJECTED: Transaction type '${enhancedTx.type}' is not SWAP - ignoring transaction`);
-                    return;
-                }
-                console.log('✅ FILTER APPROVED: Transaction type is SWAP - proceeding with processing');
+                // Paso 2: Parsear (un evento por wallet rastreada implicada) y notificar los que pasan los filtros
+                const events = await this.parseEnhancedTransaction(enhancedTx, signature);
+                events.forEach(transactionData => this.notifyTransaction(transactionData));
                 
-                // Paso 2: Extraer mint addresses
-                const mintAddresses = this.extractMintAddresses(enhancedTx);
-                if (mintAddresses.length === 0) {
-                    console.log('⚠️ No mint addresses found');
-                    return;
+            } catch (error) {
+                console.error('❌ Error processing enhanced transaction:', error);
+                this.deadLetter(signature, `Processing error: ${error.message}`);
+            }
+        }
+    }
+    
+    // Convertir una Enhanced Transaction en los datos de notificación (swap o evento tipado):
+    // un evento por cada wallet rastreada implicada, con su propia dirección e importe.
+    // Devuelve [] si no es un tipo soportado, no involucra a ninguna wallet rastreada o nada pasa los filtros.
+    // isTracked permite restringir el parseo a una wallet concreta (backfill); live=false para transacciones
+    // pasadas (backfill, gap recovery, dead letters), a las que no se añade el estado actual de la bonding curve
+    async parseEnhancedTransaction(enhancedTx, signature, { isTracked = wallet => this.trackedWallets.has(wallet), live = true } = {}) {
+        // 🎯 FILTRO: Clasificar el tipo de Helius en un evento soportado
+        console.log('🔍 Enhanced TX type:', enhancedTx.type);
+        const eventType = classifyEventType(enhancedTx.type);
+        if (!eventType) {
+            console.log(`🚫 FILTER REJECTED: Transaction type '${enhancedTx.type}' is not supported - ignoring transaction`);
+            return [];
+        }
+        
+        const involvedWallets = findTrackedWallets(enhancedTx, isTracked);
+        if (involvedWallets.length === 0) {
+            console.log(`⚠️ ${eventType}: no tracked wallet involved, skipping`);
+            return [];
+        }
+        
+        // DEX / launchpad donde ocurrió (mismo para todas las wallets de la transacción)
+        const venue = identifyVenue(enhancedTx);
+        // Estado de la bonding curve si el swap pasa por Pump.fun (una lectura por transacción).
+        // Solo en vivo: la cuenta refleja el estado actual, no el del momento del trade
+        const bondingCurve = live && eventType === 'SWAP' ? await this.getBondingCurveState(enhancedTx) : null;
+        
+        const events = [];
+        for (const wallet of involvedWallets) {
+            const transactionData = eventType === 'SWAP'
+                ? await this.parseSwap(enhancedTx, signature, wallet, involvedWallets)
+                : await this.parseTypedEvent(eventType, enhancedTx, signature, wallet, involvedWallets);
+            if (transactionData) {
+                transactionData.venue = venue ? venue.venue : null;
+                transactionData.venueName = venue ? venue.name : null;
+                if (bondingCurve && transactionData.mintAddress === bondingCurve.mint) {
+                    transactionData.pumpFun = await this.describePumpFunTrade(bondingCurve, transactionData, enhancedTx);
                 }
+                events.push(transactionData);
+            }
+        }
+        return events;
+    }
+    
+    // Swap de una wallet concreta (null si su balance no cambió como un swap o no pasa los filtros)
+    async parseSwap(enhancedTx, signature, wallet, involvedWallets) {
+        // Cambio neto de balance por mint de la wallet rastreada
+        const swap = decodeSwap(enhancedTx, wallet);
+        if (!swap) {
+            console.log(`⚠️ Could not decode swap legs for ${wallet.substring(0, 8)}..., skipping`);
+            return null;
+        }
+        console.log('✅ FILTER APPROVED: Transaction type is SWAP - proceeding with processing');
+        console.log(`🔍 [DEBUG] Swap decoded for ${swap.wallet.substring(0, 8)}...: ` +
+            `${swap.input.amount} ${swap.input.mint.substring(0, 8)}... → ${swap.output.amount} ${swap.output.mint.substring(0, 8)}... (${swap.direction})`);
+        
+        // Obtener información de tokens (WSOL incluido para el precio de SOL)
+        const mintAddresses = Array.from(new Set([swap.input.mint, swap.output.mint, WSOL_MINT]));
+        const assetInfoArray = await this.getAssetInfo(mintAddresses);
+        const assetByMint = new Map(mintAddresses.map((mint, i) => [mint, assetInfoArray[i] || {}]));
+        const symbolOf = (mint) => {
+            if (mint === WSOL_MINT) return 'SOL';
+            if (STABLECOINS[mint]) return STABLECOINS[mint];
+            return (assetByMint.get(mint).symbol || 'Unknown').trim();
+        };
+        
+        const inputToken = { mint: swap.input.mint, symbol: symbolOf(swap.input.mint), amount: swap.input.amount };
+        const outputToken = { mint: swap.output.mint, symbol: symbolOf(swap.output.mint), amount: swap.output.amount };
+        const primaryMint = swap.baseMint;
+        const primarySymbol = symbolOf(primaryMint);
+        console.log('✅ Selected primary token:', primarySymbol);
+        
+        // Valor del trade en SOL y USD
+        const solPriceUsd = assetByMint.get(WSOL_MINT).priceUsd || null;
+        const solLeg = [inputToken, outputToken].find(token => token.mint === WSOL_MINT);
+        const stableLeg = [inputToken, outputToken].find(token => isStablecoin(token.mint));
+        
+        let totalSOLAmount;
+        let usdValue = null;
+        if (solLeg) {
+            totalSOLAmount = solLeg.amount;
+            usdValue = solPriceUsd ? solLeg.amount * solPriceUsd : null;
+        } else if (stableLeg) {
+            usdValue = stableLeg.amount;
+            totalSOLAmount = solPriceUsd ? stableLeg.amount / solPriceUsd : undefined;
+        }
+        
+        // Cantidad del token principal y precio implícito por token en SOL
+        const tokenAmount = primaryMint === inputToken.mint ? inputToken.amount : outputToken.amount;
+        const pricePerTokenSol = typeof totalSOLAmount === 'number' && tokenAmount > 0 && swap.direction !== 'SWAP'
+            ? totalSOLAmount / tokenAmount
+            : null;
+        
+        // Filtrar transacciones con SOL muy pequeño (polvo, MIN_SOL_AMOUNT)
+        if (typeof totalSOLAmount === 'number' && totalSOLAmount < this.minSolAmount) {
+            console.log('🚫 SOL amount too small, skipping notification:', totalSOLAmount.toFixed(6));
+            return null;
+        }
+        
+        // Texto del importe según el par
+        const buySellType = swap.direction;
+        let amountText;
+        if (buySellType === 'SWAP') {
+            amountText = `🔄 ${formatQuantity(inputToken.amount)} ${inputToken.symbol} → ${formatQuantity(outputToken.amount)} ${outputToken.symbol}`;
+        } else {
+            const buySellIndicator = buySellType === 'BUY' ? '🟢' : '🔴';
+            const quoteToken = buySellType === 'BUY' ? inputToken : outputToken;
+            amountText = quoteToken.mint === WSOL_MINT
+                ? `${buySellIndicator} ${this.formatSOLAmountDirect(totalSOLAmount)}`
+                : `${buySellIndicator} ${quoteToken.amount.toFixed(2)} ${quoteToken.symbol}`;
+        }
+        
+        // 🎯 Crear datos de transacción
+        console.log('\n🎯 =============== CREATING TRANSACTION DATA ===============');
+        console.log('🎯 📋 Transaction Signature:', signature);
+        console.log('🎯 🪙 Primary Token Symbol:', primarySymbol);
+        console.log('🎯 📊 Transaction Type:', enhancedTx.type || 'UNKNOWN');
+        console.log('🎯 💹 BUY/SELL Direction:', buySellType);
+        console.log('🎯 💰 Formatted Amount Text:', amountText);
+        console.log('🎯 👤 Involved Wallet:', swap.wallet.substring(0, 8) + '...');
+        
+        const transactionData = {
+            signature: signature,
+            wallet: swap.wallet,         // 🎯 Wallet rastreada cuyo balance cambió
+            token: primarySymbol,        // Token principal (el que no es SOL/stablecoin)
+            mintAddress: primaryMint,    // Mint del token (filtros por usuario)
+            amount: amountText,
+            buySell: buySellType,        // BUY, SELL o SWAP (token → token)
+            solAmount: totalSOLAmount,   // Valor en SOL (undefined si no se puede calcular)
+            tokenAmount: tokenAmount,    // Cantidad exacta del token principal
+            pricePerTokenSol: pricePerTokenSol,
+            usdValue: usdValue,          // Valor en USD (stablecoins o precio de SOL)
+            inputToken: inputToken,
+            outputToken: outputToken,
+            type: 'enhanced_transaction',
+            eventType: 'SWAP',
+            involvedWallets: involvedWallets,
+            commitment: this.getWalletCommitment(swap.wallet),
+            timestamp: new Date().toISOString()
+        };
+        
+        websocketLogger.debug(`Transaction processed: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+        
+        // Aplicar filtros
+        if (!this.filters.shouldShowTransaction(transactionData)) {
+            filterLogger.debug('Transaction filtered out');
+            return null;
+        }
+        filterLogger.success(`Transaction approved: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+        return transactionData;
+    }
+    
+    // Parsear eventos no-SWAP con su parser dedicado (utils/EventParsers), desde el punto de vista de una wallet
+    async parseTypedEvent(eventType, enhancedTx, signature, wallet, involvedWallets) {
+        const event = parseEvent(eventType, enhancedTx, candidate => candidate === wallet);
+        if (!event) {
+            console.log(`⚠️ ${eventType}: nothing to report for ${wallet.substring(0, 8)}..., skipping`);
+            return null;
+        }
+        
+        // Resolver símbolos (o nombres de NFT) de los mints involucrados
+        const mints = [event.mintAddress, ...(event.legs || []).map(leg => leg.mint)].filter(Boolean);
+        const uniqueMints = Array.from(new Set(mints));
+        if (uniqueMints.length > 0) {
+            const assetInfoArray = await this.getAssetInfo(uniqueMints);
+            const assetByMint = new Map(uniqueMints.map((mint, i) => [mint, assetInfoArray[i] || {}]));
+            const isNft = eventType === 'NFT_SALE' || eventType === 'NFT_MINT';
+            
+            if (event.mintAddress) {
+                const asset = assetByMint.get(event.mintAddress);
+                event.token = (isNft && asset.name) || asset.symbol || 'Unknown';
+            }
+            (event.legs || []).forEach(leg => {
+                leg.symbol = assetByMint.get(leg.mint)?.symbol || 'Unknown';
+            });
+        }
+        
+        const amountText = typeof event.tokenAmount === 'number'
+            ? `${formatQuantity(event.tokenAmount)} ${event.token}`
+            : formatSol(event.solAmount);
+        
+        const eventData = {
+            ...event,
+            signature: signature,
+            eventType: eventType,
+            type: 'enhanced_event',
+            source: enhancedTx.source || null,
+            amount: amountText,
+            involvedWallets: involvedWallets,
+            commitment: this.getWalletCommitment(event.wallet),
+            timestamp: new Date().toISOString()
+        };
+        
+        if (!this.filters.shouldShowEvent(eventData)) {
+            filterLogger.debug(`Event filtered out: ${eventType}`);
+            return null;
+        }
+        filterLogger.success(`Event approved: ${eventType} ${eventData.amount}`);
+        return eventData;
+    }
+    
+    // ========== PUMP.FUN ==========
+    
+    // Cuenta de la bonding curve de la instrucción de Pump.fun, decodificada; null si no hay o falla la lectura
+    async getBondingCurveState(enhancedTx) {
+        const curve = findBondingCurve(enhancedTx);
+        if (!curve) return null;
+        
+        try {
+            const account = await this.provider.fetchAccountInfo(curve.bondingCurve);
+            const state = account ? decodeBondingCurve(account.data[0]) : null;
+            if (!state) {
+                console.log(`⚠️ Bonding curve ${curve.bondingCurve.substring(0, 8)}... not found or not decodable`);
+                return null;
+            }
+            return { ...curve, ...state };
+        } catch (error) {
+            console.error('❌ Error fetching bonding curve:', error.message);
+            return null;
+        }
+    }
+    
+    // Progreso de la curva, si la wallet creó el token y si compra en los primeros minutos tras el lanzamiento
+    async describePumpFunTrade(bondingCurve, transactionData, enhancedTx) {
+        const tradedAt = enhancedTx.timestamp ? enhancedTx.timestamp * 1000 : Date.now();
+        const launchedAt = transactionData.buySell === 'BUY'
+            ? await this.getLaunchTime(bondingCurve.mint, tradedAt)
+            : null;
+        const launchAgeMs = launchedAt !== null ? Math.max(0, tradedAt - launchedAt) : null;
+        
+        return {
+            bondingCurve: bondingCurve.bondingCurve,
+            progress: bondingCurve.progress,
+            complete: bondingCurve.complete,
+            creator: bondingCurve.creator,
+            isCreator: Boolean(bondingCurve.creator) && bondingCurve.creator === transactionData.wallet,
+            launchAgeMs: launchAgeMs,
+            earlyBuy: launchAgeMs !== null && launchAgeMs <= this.earlyBuyWindow
+        };
+    }
+    
+    // Hora de la primera transacción del mint (ms). Se pagina hacia atrás solo mientras las firmas
+    // sigan dentro de la ventana de compra temprana: más antiguo = null (no es temprana)
+    async getLaunchTime(mint, tradedAt) {
+        if (this.launchTimes.has(mint)) return this.launchTimes.get(mint);
+        
+        const pageSize = 1000;
+        const maxPages = 5;
+        let before = null;
+        let oldestSeen = null;
+        try {
+            for (let page = 0; page < maxPages; page++) {
+                const signatures = await this.provider.rpc('getSignaturesForAddress',
+                    [mint, { limit: pageSize, commitment: 'confirmed', ...(before ? { before } : {}) }]) || [];
+                const oldest = signatures[signatures.length - 1];
                 
-                // Paso 3: Obtener información de tokens
-                const assetInfoArray = await this.getAssetInfo(mintAddresses);
-                
-                // Paso 4: Extraer cantidades de tokens
-                const tokenAmounts = this.extractTokenAmounts(enhancedTx);
-                
-                // Paso 5: Determinar token principal (priorizar no-SOL)
-                let primaryToken = null;
-                let primaryTokenIndex = 0;
-                
-                const validNonSOLTokens = [];
-                
-                for (let i = 0; i < assetInfoArray.length; i++) {
-                    const asset = assetInfoArray[i];
-                    if (asset && asset.symbol) {
-                        const symbol = asset.symbol.trim();
-                        
-                        if (symbol !== 'SOL' && symbol !== 'WSOL' && symbol !== 'wSOL' &&
-                            symbol !== 'Unknown' && symbol !== 'N/A' && symbol !== '' &&
-                            symbol.length >= 2) {
-                            
-                            const mintAddr = mintAddresses[i];
-                            if (mintAddr && mintAddr !== 'So11111111111111111111111111111111111111112') {
-                                validNonSOLTokens.push({
-                                    asset,
-                                    index: i,
-                                    symbol: symbol,
-                                    mint: mintAddr
-                                });
-                            }
-                        }
-                    }
+                if (!oldest) break;
+                oldestSeen = oldest;
+                if (signatures.length < pageSize) {
+                    return this.cacheLaunchTime(mint, oldest.blockTime ? oldest.blockTime * 1000 : null);
                 }
-                
-                if (validNonSOLTokens.length > 0) {
-                    const chosen = validNonSOLTokens[0];
-                    primaryToken = chosen.asset;
-                    primaryTokenIndex = chosen.index;
-                    console.log('✅ Selected primary token:', primaryToken.symbol);
-                } else {
-                    console.log('🚫 No valid non-SOL tokens found, skipping transaction');
-                    return;
+                if (!oldest.blockTime || tradedAt - oldest.blockTime * 1000 > this.earlyBuyWindow) {
+                    return this.cacheLaunchTime(mint, null);
                 }
+                before = oldest.signature;
+            }
+            // Todas las páginas dentro de la ventana (lanzamiento muy activo) o última página vacía: la firma
+            // más antigua vista es la hora de lanzamiento o una cota posterior. Se cachea para no repaginar en cada compra
+            if (oldestSeen) return this.cacheLaunchTime(mint, oldestSeen.blockTime * 1000);
+        } catch (error) {
+            console.error(`❌ Error fetching launch time for ${mint.substring(0, 8)}...:`, error.message);
+        }
+        return null;
+    }
+    
+    cacheLaunchTime(mint, launchedAt) {
+        if (this.launchTimes.size >= this.maxCacheSize) {
+            this.launchTimes.delete(this.launchTimes.keys().next().value);
+        }
+        this.launchTimes.set(mint, launchedAt);
+        return launchedAt;
+    }
+    
+    // ========== DEAD LETTERS ==========
+    
+    // Lista persistente de firmas fallidas (la crea el bot con su storage)
+    setDeadLetterQueue(deadLetters) {
+        this.deadLetters = deadLetters;
+    }
+    
+    deadLetter(signature, reason) {
+        if (this.deadLetters) {
+            this.deadLetters.add(signature, reason);
+        } else {
+            console.log(`⚠️ Dropping ${signature.substring(0, 8)}...: ${reason}`);
+        }
+    }
+    
+    // Reintentar las firmas de la lista; las recuperadas se notifican marcadas como reprocesadas
+    async reprocessDeadLetters(limit = 50) {
+        const result = { attempted: 0, recovered: 0, notified: 0, failed: 0, remaining: 0 };
+        if (!this.deadLetters) return result;
+        if (this.reprocessingDeadLetters) return { ...result, busy: true };
+        
+        const entries = this.deadLetters.list().slice(0, limit);
+        result.attempted = entries.length;
+        this.reprocessingDeadLetters = true;
+        
+        try {
+            const enhancedTxs = await this.getEnhancedTransactions(entries.map(entry => entry.signature));
+            for (const [index, { signature }] of entries.entries()) {
+                try {
+                    const enhancedTx = enhancedTxs[index];
+                    if (!enhancedTx) {
+                        this.deadLetters.add(signature, 'Enhanced transaction still unavailable');
+                        result.failed++;
+                        continue;
+                    }
                 
-                // Paso 6: Determinar BUY/SELL y cantidad SOL
-                let amountText = 'N/A';
-                let buySellIndicator = '';
-                let buySellType = 'UNKNOWN';
-                
-                // Buscar transfers de SOL (nativeTransfers)
-                const solTransfers = tokenAmounts.filter(ta => ta.isSOL);
-                console.log('🔍 [DEBUG] SOL transfers found:', solTransfers.length);
-                
-                // Obtener todas las wallets rastreadas como array para facilitar búsqueda
-                const trackedWalletsArray = Array.from(this.trackedWallets);
-                console.log('🔍 [DEBUG] Tracked wallets:', trackedWalletsArray.map(w => w.substring(0, 8) + '...'));
-                
-                let totalSOLAmount = 0;
-                let isUserBuying = false;
-                let userInvolvedInTransaction = false;
-                let actualWalletInvolved = null; // 🎯 NUEVA VARIABLE: Capturar la wallet específica
+                    const events = await this.parseEnhancedTransaction(enhancedTx, signature, { live: false });
+                    this.deadLetters.remove(signature);
+                    result.recovered++;
                 
-                // 🎯 CORRECCIÓN CRÍTICA: Identificar transferencia SOL principal vs fees
-                if (solTransfers.length > 0) {
-                    console.log('🔍 [DEBUG] Analyzing all SOL transfers:');
-                    
-                    // 🎯 DEBUG: Mostrar todos los objetos SOL antes del análisis
-                    solTransfers.forEach((sol, i) => {
-                        console.log(`🔍 [DEBUG] SOL Transfer ${i + 1}:`, {
-                            solAmount: sol.solAmount,
-                            rawAmount: sol.rawAmount,
-                            humanAmount: sol.humanAmount,
-                            fromUserAccount: sol.fromUserAccount?.substring(0, 8) + '...',
-                            toUserAccount: sol.toUserAccount?.substring(0, 8) + '...'
-                        });
-                    });
-                    
-                    // 🎯 PASO 1: Encontrar la transferencia SOL más grande (swap principal)
-                    const largestSOLTransfer = solTransfers.reduce((max, current) => 
-                        Math.abs(current.solAmount) > Math.abs(max.solAmount) ? current : max
-                    );
-                    
-                    console.log('🎯 [DEBUG] Largest SOL transfer identified:', {
-                        amount: largestSOLTransfer.solAmount.toFixed(6),
-                        fromUserAccount: largestSOLTransfer.fromUserAccount ? largestSOLTransfer.fromUserAccount.substring(0, 8) + '...' : 'null',
-                        toUserAccount: largestSOLTransfer.toUserAccount ? largestSOLTransfer.toUserAccount.substring(0, 8) + '...' : 'null'
-                    });
-                    
-                    // 🎯 PASO 2: Verificar si la wallet rastreada está involucrada en la transferencia principal
-                    const fromUserIsTracked = largestSOLTransfer.fromUserAccount && trackedWalletsArray.includes(largestSOLTransfer.fromUserAccount);
-                    const toUserIsTracked = largestSOLTransfer.toUserAccount && trackedWalletsArray.includes(largestSOLTransfer.toUserAccount);
-                    
-                    console.log(`🔍 [DEBUG] Main transfer wallet detection:`, {
-                        fromUserIsTracked,
-                        toUserIsTracked,
-                        fromUserAccount: largestSOLTransfer.fromUserAccount,
-                        toUserAccount: largestSOLTransfer.toUserAccount
-                    });
-                    
-                    // 🎯 PASO 3: Determinar BUY/SELL basado SOLO en la transferencia principal
-                    if (fromUserIsTracked || toUserIsTracked) {
-                        userInvolvedInTransaction = true;
-                        totalSOLAmount = Math.abs(largestSOLTransfer.solAmount);
-                        
-                        // 🎯 LÓGICA CORREGIDA:
-                        // Si la wallet rastreada está RECIBIENDO SOL = SELL (vendió tokens por SOL)
-                        if (toUserIsTracked && !fromUserIsTracked) {
-                            isUserBuying = false;
-                            actualWalletInvolved = largestSOLTransfer.toUserAccount; // 🎯 CAPTURAR WALLET ESPECÍFICA
-                            console.log(`✅ [DEBUG] 🔴 SELL DETECTED - User wallet RECEIVING SOL: +${totalSOLAmount.toFixed(6)} SOL`);
-                            console.log(`✅ [DEBUG] 🔴 User Wallet: ${largestSOLTransfer.toUserAccount}`);
-                            console.log(`✅ [DEBUG] 🔴 SOL Source: ${largestSOLTransfer.fromUserAccount}`);
-                        }
-                        // Si la wallet rastreada está ENVIANDO SOL = BUY (compró tokens con SOL)
-                        else if (fromUserIsTracked && !toUserIsTracked) {
-                            isUserBuying = true;
-                            actualWalletInvolved = largestSOLTransfer.fromUserAccount; // 🎯 CAPTURAR WALLET ESPECÍFICA
-                            console.log(`✅ [DEBUG] 🟢 BUY DETECTED - User wallet SENDING SOL: -${totalSOLAmount.toFixed(6)} SOL`);
-                            console.log(`✅ [DEBUG] 🟢 User Wallet: ${largestSOLTransfer.fromUserAccount}`);
-                            console.log(`✅ [DEBUG] 🟢 SOL Destination: ${largestSOLTransfer.toUserAccount}`);
-                        }
-                        
-                        console.log('🎯 [DEBUG] Using MAIN SOL transfer only, ignoring fees:', {
-                            mainTransferAmount: totalSOLAmount.toFixed(6),
-                            direction: isUserBuying ? 'BUY' : 'SELL',
-                            totalTransfersFound: solTransfers.length
-                        });
-                    }
-                    
-                    // Si no encontramos la wallet directamente, usar método alternativo
-                    if (!userInvolvedInTransaction && solTransfers.length > 0) {
-                        console.log('⚠️ [DEBUG] User wallet not found in transfers, summing ALL SOL transfers as fallback');
-                        
-                        // CORRECCIÓN: Sumar TODAS las transferencias SOL en lugar de solo la más grande
-                        totalSOLAmount = 0;
-                        let userSendingSOL = 0;
-                        let userReceivingSOL = 0;
-                        
-                        solTransfers.forEach(transfer => {
-                            const amount = Math.abs(transfer.solAmount);
-                            totalSOLAmount += amount;
-                            
-                            // Determinar dirección del flujo SOL
-                            if (this.trackedWallets.has(transfer.fromUserAccount)) {
-                                userSendingSOL += amount;
-                            }
-                            if (this.trackedWallets.has(transfer.toUserAccount)) {
-                                userReceivingSOL += amount;
-                            }
+                    events.forEach(transactionData => {
+                        this.notifyTransaction({
+                            ...transactionData,
+                            reprocessed: true,
+                            timestamp: enhancedTx.timestamp ? new Date(enhancedTx.timestamp * 1000).toISOString() : transactionData.timestamp
                         });
-                        
-                        // Determinar BUY/SELL basado en el flujo neto de SOL
-                        isUserBuying = userSendingSOL > userReceivingSOL; // Usuario envía más SOL = BUY
-                        userInvolvedInTransaction = true;
-                        
-                        console.log(`✅ [DEBUG] Summed ALL transfers: ${totalSOLAmount.toFixed(6)} SOL (${solTransfers.length} transfers)`);
-                        console.log(`✅ [DEBUG] SOL Flow - Sending: ${userSendingSOL.toFixed(6)}, Receiving: ${userReceivingSOL.toFixed(6)}`);
-                    }
-                    
-                    console.log('🔍 [DEBUG] Final SOL analysis result:', {
-                        totalSOLAmount: totalSOLAmount.toFixed(6),
-                        isUserBuying: isUserBuying,
-                        userInvolvedInTransaction: userInvolvedInTransaction
+                        result.notified++;
                     });
-                    
-                    // Filtrar transacciones con SOL muy pequeño (menos de 0.001 SOL)
-                    if (totalSOLAmount < 0.001) {
-                        console.log('🚫 SOL amount too small, skipping notification:', totalSOLAmount.toFixed(6));
-                        return;
-                    }
-                    
-                    if (userInvolvedInTransaction) {
-                        buySellType = isUserBuying ? 'BUY' : 'SELL';
-                        const buyIcon = '🟢';
-                        const sellIcon = '🔴';
-                        buySellIndicator = isUserBuying ? buyIcon : sellIcon;
-                        
-                        // 🎯 CORRECCIÓN CRÍTICA: totalSOLAmount ya está en formato decimal, usar formatSOLAmountDirect
-                        const solAmount = this.formatSOLAmountDirect(totalSOLAmount);
-                        amountText = `${buySellIndicator} ${solAmount}`;
-                        
-                        console.log('🎯 [DEBUG] SOL formatting:', {
-                            totalSOLAmount: totalSOLAmount,
-                            formattedSOL: solAmount,
-                            finalAmountText: amountText
-                        });
-                    } else {
-                        console.log('⚠️ User not involved in transaction, skipping');
-                        return;
-                    }
-                } else {
-                    console.log('⚠️ No SOL transfers found, using fallback');
-                    // Fallback: usar token amounts
-                    const mainTransfer = tokenAmounts[0];
-                    if (mainTransfer) {
-                        const formattedTokenAmount = this.formatTokenAmount(mainTransfer.humanAmount || 0);
-                        amountText = formattedTokenAmount;
-                    }
+                } catch (error) {
+                    this.deadLetters.add(signature, `Processing error: ${error.message}`);
+                    result.failed++;
                 }
+            }
+        } finally {
+            this.reprocessingDeadLetters = false;
+        }
+        
+        result.remaining = this.deadLetters.size;
+        console.log(`♻️ Dead letters reprocessed: ${result.recovered}/${result.attempted} recovered, ${result.remaining} remaining`);
+        return result;
+    }
+    
+    // ========== BACKFILL ==========
+    
+    // Últimas firmas de una wallet (más reciente primero), sin las transacciones fallidas; null si la RPC falla.
+    // until: solo las posteriores a esa firma
+    async getRecentSignatures(walletAddress, limit, { until = null, commitment = 'finalized' } = {}) {
+        try {
+            const result = await this.provider.rpc('getSignaturesForAddress',
+                [walletAddress, { limit, commitment, ...(until ? { until } : {}) }]);
+            
+            return (result || []).filter(entry => entry && !entry.err);
+        } catch (error) {
+            console.error('❌ Error fetching recent signatures:', error.message);
+            return null;
+        }
+    }
+    
+    // Pasar las últimas firmas de una wallet por el mismo pipeline de parseo, sin notificar.
+    // Los resultados (más reciente primero) llevan backfilled: true y la hora del bloque; null si no hay firmas
+    async backfillWallet(walletAddress, limit = this.backfillLimit) {
+        const signatureLimit = Math.min(parseInt(limit) || 0, HeliusWebSocketBackend.MAX_BACKFILL_LIMIT);
+        if (signatureLimit <= 0 || !this.validateWalletAddress(walletAddress)) return [];
+        
+        const signatures = await this.getRecentSignatures(walletAddress, signatureLimit);
+        if (!signatures) return null;
+        console.log(`📜 Backfilling ${signatures.length} signature(s) for ${walletAddress.substring(0, 8)}...`);
+        
+        const results = [];
+        const enhancedTxs = await this.getEnhancedTransactions(signatures.map(entry => entry.signature));
+        for (const [index, { signature, blockTime }] of signatures.entries()) {
+            try {
+                const enhancedTx = enhancedTxs[index];
+                if (!enhancedTx) continue;
                 
-                // 🎯 PASO 7: Crear datos de transacción SIMPLIFICADOS (Chrome Extension Style)
-                // Solo mostrar compras/ventas y cantidad de SOL, nada más
-                console.log('\n🎯 =============== CREATING SIMPLIFIED TRANSACTION DATA ===============');
-                console.log('🎯 📋 Transaction Signature:', signature);
-                console.log('🎯 🪙 Primary Token Symbol:', primaryToken.symbol);
-                console.log('🎯 📊 Transaction Type:', enhancedTx.type || 'UNKNOWN');
-                console.log('🎯 💹 BUY/SELL Direction:', buySellType);
-                console.log('🎯 💰 Formatted Amount Text:', amountText);
-                console.log('🎯 🔢 Raw SOL Amount:', totalSOLAmount.toFixed(6));
-                console.log('🎯 👤 Involved Wallet:', actualWalletInvolved?.substring(0, 8) + '...' || 'UNKNOWN');
-                
-                const transactionData = {
-                    signature: signature,
-                    wallet: actualWalletInvolved || Array.from(this.trackedWallets)[0], // 🎯 USAR WALLET ESPECÍFICA
-                    token: primaryToken.symbol,  // Token principal
-                    amount: amountText,          // 🎯 SOLO cantidad de SOL formateada
-                    buySell: buySellType,        // 🎯 SOLO BUY o SELL
-                    solAmount: totalSOLAmount,   // 🎯 Cantidad SOL numérica
-                    type: 'enhanced_transaction',
-                    timestamp: new Date().toISOString()
-                    // 🎯 REMOVIDO: tokenImage, mintAddress, tokenAmounts (simplificado)
-                };
+                const events = await this.parseEnhancedTransaction(enhancedTx, signature, {
+                    isTracked: wallet => wallet === walletAddress,
+                    live: false
+                });
                 
-                websocketLogger.debug(`Transaction processed: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+                const blockSeconds = enhancedTx.timestamp || blockTime;
+                events.forEach(transactionData => results.push({
+                    ...transactionData,
+                    commitment: 'finalized',
+                    backfilled: true,
+                    timestamp: blockSeconds ? new Date(blockSeconds * 1000).toISOString() : transactionData.timestamp
+                }));
+            } catch (error) {
+                console.error(`❌ Error backfilling ${signature.substring(0, 8)}...:`, error.message);
+            }
+        }
+        
+        return results;
+    }
+    
+    // ========== GAP RECOVERY ==========
+    
+    // Tras reconectar, pedir las firmas de cada wallet posteriores a la última procesada (o a la caída,
+    // si la wallet no tenía ninguna) y pasarlas por el pipeline normal, marcadas como recuperadas
+    async recoverMissedTransactions(downSince) {
+        if (this.recoveringGap) {
+            console.log('⏭️ Gap recovery already running, skipping');
+            return null;
+        }
+        this.recoveringGap = true;
+        const result = { since: new Date(downSince).toISOString(), wallets: 0, signatures: 0, recovered: 0, failed: 0 };
+        
+        try {
+            // Firmas de todas las wallets, sin repetir, de la más antigua a la más reciente
+            const missed = new Map();
+            for (const wallet of Array.from(this.trackedWallets)) {
+                const last = this.lastProcessed.get(wallet);
+                const signatures = await this.getRecentSignatures(wallet, this.gapRecoveryLimit, {
+                    until: last?.signature || null,
+                    commitment: 'confirmed'
+                });
+                if (!signatures) continue;
+                result.wallets++;
                 
-                // Paso 8: Aplicar filtros
-                if (this.filters.shouldShowTransaction(transactionData)) {
-                    filterLogger.success(`Transaction approved: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
-                    this.notifyTransaction(transactionData);
-                } else {
-                    filterLogger.debug('Transaction filtered out');
+                signatures
+                    .filter(entry => last || !entry.blockTime || entry.blockTime * 1000 >= downSince)
+                    .forEach(entry => missed.set(entry.signature, entry));
+            }
+            
+            const ordered = Array.from(missed.values())
+                .filter(entry => !this.seenSignatures.has(entry.signature))
+                .sort((a, b) => (a.slot || 0) - (b.slot || 0));
+            result.signatures = ordered.length;
+            if (ordered.length > 0) {
+                console.log(`🩹 Recovering ${ordered.length} signature(s) missed since ${result.since}`);
+            }
+            
+            // Puede haber llegado ya por la suscripción nueva; el resto se pide de una vez (lotes)
+            const pending = ordered.filter(entry => this.seenSignatures.markSeen(entry.signature));
+            const enhancedTxs = await this.getEnhancedTransactions(pending.map(entry => entry.signature));
+            
+            for (const [index, { signature, blockTime }] of pending.entries()) {
+                try {
+                    const enhancedTx = enhancedTxs[index];
+                    if (!enhancedTx) {
+                        this.deadLetter(signature, 'Enhanced transaction unavailable after retries (gap recovery)');
+                        result.failed++;
+                        continue;
+                    }
+                    
+                    const events = await this.parseEnhancedTransaction(enhancedTx, signature, { live: false });
+                    const blockSeconds = enhancedTx.timestamp || blockTime;
+                    events.forEach(transactionData => this.notifyTransaction({
+                        ...transactionData,
+                        recovered: true,
+                        timestamp: blockSeconds ? new Date(blockSeconds * 1000).toISOString() : transactionData.timestamp
+                    }));
+                    result.recovered += events.length;
+                } catch (error) {
+                    this.deadLetter(signature, `Processing error: ${error.message}`);
+                    result.failed++;
                 }
-                
-            } catch (error) {
-                console.error('❌ Error processing enhanced transaction:', error);
-                this.handleFallbackTransaction(logs);
             }
+        } finally {
+            this.recoveringGap = false;
         }
         
-        if (data.result && typeof data.result === 'number') {
-            console.log('✅ Subscription confirmed with ID:', data.result);
+        this.lastGapRecovery = { ...result, at: new Date().toISOString() };
+        websocketLogger.info(`Gap recovery: ${result.signatures} missed signature(s), ${result.recovered} event(s) recovered, ${result.failed} failed`);
+        return result;
+    }
+    
+    // ========== FINALITY FOLLOW-UP ==========
+    
+    trackFinality(signature) {
+        if (!this.pendingFinality.has(signature)) {
+            this.pendingFinality.set(signature, { since: Date.now() });
         }
+        this.scheduleFinalityCheck();
     }
     
-    handleFallbackTransaction(logs) {
-        const signature = logs.value?.signature;
-        if (!signature) return;
+    scheduleFinalityCheck() {
+        if (this.finalityTimer || this.pendingFinality.size === 0) return;
         
-        const transactionData = {
-            signature: signature,
-            wallet: 'Transaction Detected',
-            token: 'Unknown',
-            amount: 'N/A SOL',
-            timestamp: new Date().toISOString(),
-            type: 'basic_transaction'
-        };
+        this.finalityTimer = setTimeout(async () => {
+            try {
+                await this.checkFinality();
+            } catch (error) {
+                console.error('❌ Error checking finality:', error.message);
+            } finally {
+                this.finalityTimer = null;
+                this.scheduleFinalityCheck();
+            }
+        }, this.finalityCheckInterval);
+    }
+    
+    // getSignatureStatuses en lotes: finalized → final; error o sin estado pasado finalityTimeout → dropped
+    async checkFinality() {
+        const signatures = Array.from(this.pendingFinality.keys()).slice(0, HeliusWebSocketBackend.MAX_SIGNATURE_STATUSES);
+        if (signatures.length === 0) return;
+        
+        const statuses = await this.getSignatureStatuses(signatures);
+        if (!statuses) return; // RPC caída: se reintenta en la próxima vuelta
         
-        console.log('⚠️ Using fallback transaction data');
-        this.notifyTransaction(transactionData);
+        const now = Date.now();
+        signatures.forEach((signature, index) => {
+            const status = statuses[index];
+            const pending = this.pendingFinality.get(signature);
+            
+            let outcome = null;
+            if (status?.err) {
+                outcome = { status: 'dropped', reason: 'failed' };
+            } else if (status?.confirmationStatus === 'finalized') {
+                outcome = { status: 'finalized', reason: null };
+            } else if (!status && now - pending.since > this.finalityTimeout) {
+                outcome = { status: 'dropped', reason: 'expired' };
+            }
+            if (!outcome) return;
+            
+            this.pendingFinality.delete(signature);
+            console.log(`${outcome.status === 'finalized' ? '🟢' : '❌'} ${signature.substring(0, 8)}... ${outcome.status}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+            if (this.onTransactionFinality) {
+                this.onTransactionFinality(signature, outcome.status, outcome.reason);
+            }
+        });
+    }
+    
+    // Estado de varias firmas (null por firma desconocida); null si la RPC falla
+    async getSignatureStatuses(signatures) {
+        try {
+            const result = await this.provider.rpc('getSignatureStatuses', [signatures, { searchTransactionHistory: true }]);
+            
+            return result?.value || null;
+        } catch (error) {
+            console.error('❌ Error fetching signature statuses:', error.message);
+            return null;
+        }
     }
     
     // ========== WALLET MANAGEMENT ==========
     
     addWallet(walletAddress) {
         if (this.validateWalletAddress(walletAddress)) {
+            // Ya suscrita (p.ej. otro usuario la rastrea): no duplicar la suscripción
+            if (this.trackedWallets.has(walletAddress)) {
+                return true;
+            }
+
             const wasEmpty = this.trackedWallets.size === 0;
             this.trackedWallets.add(walletAddress);
             console.log('✅ Wallet added:', walletAddress);
@@ -1111,10 +1290,23 @@ class HeliusWebSocketBackend {
         }
         return false;
     }
-    
+
+    // Restaurar wallets persistidas antes de conectar (connect() las suscribe todas al abrir)
+    restoreWallets(walletAddresses) {
+        walletAddresses.forEach(walletAddress => {
+            if (this.validateWalletAddress(walletAddress)) {
+                this.trackedWallets.add(walletAddress);
+            }
+        });
+
+        console.log(`♻️ Restored ${this.trackedWallets.size} wallet(s) from storage`);
+    }
+
     removeWallet(walletAddress) {
         if (this.trackedWallets.has(walletAddress)) {
             this.trackedWallets.delete(walletAddress);
+            this.walletCommitments.delete(walletAddress);
+            this.lastProcessed.delete(walletAddress);
             
             console.log(`🗑️ Removing wallet ${walletAddress.substring(0, 8)}... from tracking`);
             console.log(`📊 Remaining wallets: ${this.trackedWallets.size}`);
@@ -1125,35 +1317,24 @@ class HeliusWebSocketBackend {
                 
                 if (this.websocket) {
                     // Cerrar la conexión WebSocket completamente
-                    this.websocket.close(1000, 'No wallets to track');
+                    this.closeWebSocket('No wallets to track');
                     this.websocket = null;
                     this.isConnected = false;
+                    this.connectedAt = null;
+                    this.lastDisconnectAt = null; // Standby a propósito: no hay hueco que recuperar
+                    this.stopHeartbeat();
+                    this.resetSubscriptionState();
                     
                     // Limpiar todas las colas pendientes para evitar consumo de API
-                    this.enhancedTransactionQueue = [];
+                    this.clearEnhancedTransactionQueue();
                     this.assetBatchQueue = [];
                     
                     console.log('✅ WebSocket disconnected - No API calls will be made');
                     console.log('💤 Bot in standby mode - Use /track to resume');
                 }
             } else {
-                // Si aún quedan wallets, reconectar para re-suscribir solo a las wallets activas
-                console.log('🔄 Reconnecting to update subscriptions...');
-                
-                if (this.websocket) {
-                    // Guardar las wallets actuales
-                    const remainingWallets = new Set(this.trackedWallets);
-                    
-                    // Cerrar conexión actual
-                    this.websocket.close(1000, 'Updating subscriptions');
-                    
-                    // Reconectar después de un breve delay
-                    setTimeout(() => {
-                        this.trackedWallets = remainingWallets;
-                        this.connect();
-                        console.log(`✅ Reconnected with ${this.trackedWallets.size} active wallet(s)`);
-                    }, 1000);
-                }
+                // Cancelar solo su suscripción: el resto de wallets siguen recibiendo sin cortes
+                this.unsubscribeFromWallet(walletAddress);
             }
             
             console.log(`✅ Wallet ${walletAddress.substring(0, 8)}... completely removed`);
@@ -1163,21 +1344,148 @@ class HeliusWebSocketBackend {
         return false;
     }
     
+    // ========== HEARTBEAT ==========
+    
+    // Ping periódico y watchdog: un socket medio abierto puede seguir "conectado" sin recibir nada
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.lastSuccessfulPing = Date.now();
+        
+        this.connectionHealthCheck = setInterval(() => {
+            if (!this.isSocketOpen()) return;
+            
+            const lastActivity = Math.max(this.lastSuccessfulPing || 0, this.lastMessageAt || 0);
+            const silentFor = Date.now() - lastActivity;
+            if (silentFor > this.staleTimeout) {
+                websocketLogger.warn(`WebSocket stale: no pong or message for ${Math.round(silentFor / 1000)}s - forcing reconnect`);
+                this.stopHeartbeat();
+                // terminate() no es un cierre a propósito → onclose → handleReconnect
+                this.websocket.terminate();
+                return;
+            }
+            
+            try {
+                this.websocket.ping();
+            } catch (error) {
+                websocketLogger.warn(`Ping failed: ${error.message}`);
+            }
+        }, this.pingInterval);
+    }
+    
+    stopHeartbeat() {
+        if (this.connectionHealthCheck) {
+            clearInterval(this.connectionHealthCheck);
+            this.connectionHealthCheck = null;
+        }
+    }
+    
+    // ========== SUBSCRIPTIONS ==========
+    
+    isSocketOpen() {
+        return Boolean(this.websocket) && this.websocket.readyState === WebSocket.OPEN;
+    }
+    
+    // Enviar una petición JSON-RPC con id propio para correlacionar la respuesta
+    sendRequest(method, params, context = {}) {
+        if (!this.isSocketOpen()) return null;
+        
+        const id = this.nextRequestId++;
+        this.pendingRequests.set(id, { method, ...context });
+        this.websocket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        return id;
+    }
+    
+    handleRpcResponse(data) {
+        const request = this.pendingRequests.get(data.id);
+        this.pendingRequests.delete(data.id);
+        const walletText = request.wallet ? `${request.wallet.substring(0, 8)}...` : 'unknown wallet';
+        
+        if (data.error) {
+            websocketLogger.error(`${request.method} failed for ${walletText}: ${data.error.message || JSON.stringify(data.error)}`);
+            return;
+        }
+        
+        if (request.method === 'logsUnsubscribe') {
+            console.log(`📭 Unsubscribed ${walletText} (subscription ${request.subscriptionId})`);
+            return;
+        }
+        
+        const subscriptionId = data.result;
+        // Wallet eliminada o commitment cambiado mientras se esperaba la respuesta
+        if (!this.trackedWallets.has(request.wallet) || request.commitment !== this.getWalletCommitment(request.wallet)) {
+            this.sendRequest('logsUnsubscribe', [subscriptionId], { wallet: request.wallet, subscriptionId });
+            return;
+        }
+        
+        // Re-suscripción (cambio de commitment): la suscripción anterior se cancela ya confirmada la nueva
+        const previous = this.subscriptions.get(request.wallet);
+        if (previous) {
+            this.subscriptionWallets.delete(previous.id);
+            this.sendRequest('logsUnsubscribe', [previous.id], { wallet: request.wallet, subscriptionId: previous.id });
+        }
+        
+        this.subscriptions.set(request.wallet, { id: subscriptionId, commitment: request.commitment });
+        this.subscriptionWallets.set(subscriptionId, request.wallet);
+        console.log(`✅ Subscription confirmed for ${walletText} with ID: ${subscriptionId}`);
+    }
+    
+    hasPendingSubscription(walletAddress, commitment) {
+        return Array.from(this.pendingRequests.values()).some(request =>
+            request.method === 'logsSubscribe' && request.wallet === walletAddress && request.commitment === commitment);
+    }
+    
     subscribeToWallet(walletAddress) {
-        const logsMessage = {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'logsSubscribe',
-            params: [
-                { mentions: [walletAddress] },
-                { commitment: 'finalized' }
-            ]
-        };
+        const commitment = this.getWalletCommitment(walletAddress);
+        if (this.subscriptions.get(walletAddress)?.commitment === commitment || this.hasPendingSubscription(walletAddress, commitment)) {
+            return;
+        }
         
-        this.websocket.send(JSON.stringify(logsMessage));
-        console.log('📤 Subscribed to wallet logs:', walletAddress);
+        const id = this.sendRequest('logsSubscribe', [
+            { mentions: [walletAddress] },
+            { commitment }
+        ], { wallet: walletAddress, commitment });
+        
+        if (id !== null) {
+            console.log('📤 Subscribed to wallet logs:', walletAddress);
+        }
     }
     
+    unsubscribeFromWallet(walletAddress) {
+        const subscription = this.subscriptions.get(walletAddress);
+        if (!subscription) return; // Si la suscripción está pendiente se cancela al confirmarse
+        
+        this.subscriptions.delete(walletAddress);
+        this.subscriptionWallets.delete(subscription.id);
+        this.sendRequest('logsUnsubscribe', [subscription.id], { wallet: walletAddress, subscriptionId: subscription.id });
+    }
+    
+    // Las suscripciones mueren con la conexión; al reconectar se vuelven a crear para las wallets rastreadas
+    resetSubscriptionState() {
+        this.subscriptions.clear();
+        this.subscriptionWallets.clear();
+        this.pendingRequests.clear();
+    }
+    
+    getWalletCommitment(walletAddress) {
+        return this.walletCommitments.get(walletAddress) || HeliusWebSocketBackend.DEFAULT_COMMITMENT;
+    }
+
+    // Cambiar el commitment de una wallet; si ya está suscrita hay que re-suscribir
+    setWalletCommitment(walletAddress, commitment) {
+        if (!HeliusWebSocketBackend.COMMITMENT_LEVELS.includes(commitment)) {
+            return false;
+        }
+
+        const previous = this.getWalletCommitment(walletAddress);
+        this.walletCommitments.set(walletAddress, commitment);
+
+        if (previous !== commitment && this.trackedWallets.has(walletAddress) && this.isConnected) {
+            websocketLogger.info(`Commitment for ${walletAddress.substring(0, 8)}... changed: ${previous} → ${commitment}`);
+            this.subscribeToWallet(walletAddress);
+        }
+        return true;
+    }
+
     subscribeToTrackedWallets() {
         console.log('🔔 Subscribing to all tracked wallets...');
         
@@ -1201,7 +1509,12 @@ class HeliusWebSocketBackend {
     // ========== NOTIFICATION ==========
     
     notifyTransaction(transactionData) {
-        websocketLogger.info(`📢 Notifying: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount} (${transactionData.signature.substring(0,8)}...)`);
+        websocketLogger.info(`📢 Notifying: ${transactionData.token} ${transactionData.buySell || transactionData.eventType} ${transactionData.amount} (${transactionData.signature.substring(0,8)}...)`);
+        
+        // Alerta temprana: seguir la firma hasta que sea final o se descarte
+        if (transactionData.commitment && transactionData.commitment !== 'finalized') {
+            this.trackFinality(transactionData.signature);
+        }
         
         if (this.onTransactionReceived) {
             this.onTransactionReceived(transactionData);
@@ -1213,20 +1526,64 @@ class HeliusWebSocketBackend {
     
     // ========== UTILITY METHODS ==========
     
+    // Reintentar sin límite: backoff exponencial con tope y jitter, reiniciado al conectar (onopen)
     handleReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('❌ Max reconnect attempts reached. Giving up.');
+        if (this.reconnectTimer) return;
+        if (this.trackedWallets.size === 0) {
+            console.log('💤 No wallets to track - not reconnecting');
             return;
         }
         
+        const delay = backoffDelay(this.reconnectAttempts, this.reconnectDelay, this.maxReconnectDelay);
         this.reconnectAttempts++;
-        console.log(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+        this.reconnectCount++;
+        console.log(`🔄 Attempting to reconnect (attempt ${this.reconnectAttempts}) in ${Math.round(delay / 1000)}s...`);
         
-        setTimeout(() => {
+        // Fallos seguidos con la misma key: probar con otra sana (la de Helius puede estar bloqueada)
+        if (this.apiKeyPool && this.keySwitchAfterAttempts > 0 && this.reconnectAttempts % this.keySwitchAfterAttempts === 0) {
+            this.apiKeyPool.rotate('websocket reconnect failures');
+        }
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             this.connect();
-        }, this.reconnectDelay);
+        }, delay);
+    }
+    
+    // Conexión perdida: si no se recupera en degradedNoticeDelay se avisa a los usuarios afectados
+    markConnectionLost() {
+        if (this.disconnectedAt === null) this.disconnectedAt = Date.now();
+        if (this.degradedTimer || this.degradedSince) return;
+        
+        this.degradedTimer = setTimeout(() => {
+            this.degradedTimer = null;
+            if (this.isConnected || this.trackedWallets.size === 0) return;
+            
+            this.degradedSince = this.disconnectedAt;
+            websocketLogger.warn(`Tracking degraded: WebSocket down since ${new Date(this.degradedSince).toISOString()}`);
+            if (this.onConnectionDegraded) {
+                this.onConnectionDegraded({ since: new Date(this.degradedSince).toISOString(), reconnectAttempts: this.reconnectAttempts });
+            }
+        }, this.degradedNoticeDelay);
+    }
+    
+    markConnectionRestored() {
+        if (this.degradedTimer) {
+            clearTimeout(this.degradedTimer);
+            this.degradedTimer = null;
+        }
         
-        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+        const wasDegraded = this.degradedSince !== null;
+        const downtimeMs = this.disconnectedAt !== null ? Date.now() - this.disconnectedAt : 0;
+        this.disconnectedAt = null;
+        this.degradedSince = null;
+        
+        if (wasDegraded) {
+            websocketLogger.success(`Tracking restored after ${Math.round(downtimeMs / 1000)}s`);
+            if (this.onConnectionRestored) {
+                this.onConnectionRestored({ downtimeMs });
+            }
+        }
     }
     
     getStatus() {
@@ -1234,22 +1591,63 @@ class HeliusWebSocketBackend {
             connected: this.isConnected,
             trackedWallets: this.trackedWallets.size,
             walletsArray: Array.from(this.trackedWallets),
-            currentApiKey: this.getCurrentApiKey().substring(0, 8) + '...',
+            provider: this.provider.name,
+            providerEndpoint: this.provider.describe(),
+            currentApiKey: this.apiKeyPool ? maskKey(this.apiKeyPool.getKey()) : null,
+            websocketApiKey: this.websocketApiKey ? maskKey(this.websocketApiKey) : null,
+            apiKeys: this.apiKeyPool ? this.apiKeyPool.getHealth() : [],
+            healthyApiKeys: this.apiKeyPool ? this.apiKeyPool.getHealthyCount() : 0,
+            deadLetters: this.deadLetters ? this.deadLetters.size : 0,
+            seenSignatures: this.seenSignatures.size,
+            lastGapRecovery: this.lastGapRecovery,
+            pendingFinality: this.pendingFinality.size,
+            subscriptions: this.subscriptions.size,
+            connection: {
+                connectedAt: this.connectedAt ? new Date(this.connectedAt).toISOString() : null,
+                uptimeMs: this.connectedAt ? Date.now() - this.connectedAt : 0,
+                lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+                lastPongAt: this.lastSuccessfulPing ? new Date(this.lastSuccessfulPing).toISOString() : null,
+                reconnects: this.reconnectCount,
+                reconnectAttempts: this.reconnectAttempts,
+                degradedSince: this.degradedSince ? new Date(this.degradedSince).toISOString() : null
+            },
             cacheSize: this.tokenInfoCache.size,
             queueSizes: {
-                enhanced: this.enhancedTransactionQueue.length,
+                enhanced: this.enhancedTransactionQueue.size,
                 assetBatch: this.assetBatchQueue.length
             }
         };
     }
     
+    // Cierre pedido por nosotros: se marca el socket para que onclose no lo trate como caída
+    closeWebSocket(reason) {
+        if (!this.websocket) return;
+        this.websocket.closedOnPurpose = true;
+        this.websocket.close(1000, reason);
+    }
+    
     disconnect() {
+        this.stopHeartbeat();
         if (this.websocket) {
-            this.websocket.close();
+            this.closeWebSocket('Shutdown');
             this.isConnected = false;
             console.log('🔌 WebSocket disconnected');
         }
     }
 }
 
+// Niveles de commitment de Solana, del más rápido al más seguro
+HeliusWebSocketBackend.COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// Commitment por defecto de usuarios y wallets (el operador puede elegir uno más rápido)
+HeliusWebSocketBackend.DEFAULT_COMMITMENT = HeliusWebSocketBackend.COMMITMENT_LEVELS.includes(process.env.DEFAULT_COMMITMENT)
+    ? process.env.DEFAULT_COMMITMENT
+    : 'finalized';
+
+// Firmas por llamada a getSignatureStatuses (límite de la RPC)
+HeliusWebSocketBackend.MAX_SIGNATURE_STATUSES = 256;
+
+// Máximo de firmas por backfill (cada una es una llamada a la Enhanced Transactions API)
+HeliusWebSocketBackend.MAX_BACKFILL_LIMIT = 50;
+
 module.exports = HeliusWebSocketBackend;